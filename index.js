@@ -4,73 +4,243 @@
  * Defines the modeller object
  */
 
-var localKnex = null;
+var q = require('q'),
+  _ = require('lodash'),
+  knexConfig = require('./lib/connection.js').knexConfig,
+  types = require('./lib/types.js');
+
+/**
+ * The knex instances of each connection, by name: that of its primary
+ * database, those of its read replicas, and which of them were created by
+ * connect() rather than passed in.
+ */
+var connections = {};
+
+/**
+ * The Model class shared by every model, which is bound to knex on connect().
+ */
+var ModelClass = require('./lib/model.js')(null);
+
+/**
+ * Create an instance of knex from a connection configuration, or take the
+ * pre-configured one it gives.
+ */
+function createKnex(config) {
+  if (config.knex) {
+    // config contains an explicit reference to a knex object
+    // we assume it has been configured elsewhere
+    return config.knex;
+  }
+
+  return require('knex')(knexConfig(config));
+}
+
+/**
+ * Get the knex instance of a connection's primary database. Throws if it has
+ * not been connected.
+ */
+function primaryOf(name, action) {
+  if (!_.has(connections, name)) {
+    throw new Error('Need to run modeller.connect() before ' + action +
+        (name === 'default' ? '' : ' on connection ' + name));
+  }
+
+  return connections[name].primary;
+}
 
 var modeller = {
   /**
    * Initialization function initializes our instance of Knex to work with
-   * whatever database we need it to.
+   * whatever database we need it to. See lib/connection.js for the settings
+   * it accepts, including connection URLs, pool, SSL and timeouts. A
+   * pre-configured instance of knex may be passed as `knex` instead.
+   *
+   * `name` names the connection, for models which declare a _connection; it
+   * defaults to 'default', which every other model uses. `replicas` lists the
+   * configurations of read replicas, which take the reads of get(), getOne()
+   * and count() in turn while writes go to the primary. Each replica takes
+   * any settings it leaves out from the primary's configuration.
+   *
+   * Connecting a name which is already connected replaces its connection,
+   * destroying the pools connect() created for it before, as disconnect()
+   * would.
+   *
+   * ex.
+   * modeller.connect({
+   *   name: 'catalog',
+   *   dialect: 'mysql',
+   *   user: 'user',
+   *   password: 'password',
+   *   database: 'catalog',
+   *   host: 'db-primary',
+   *   replicas: [{ host: 'db-replica-1' }, { host: 'db-replica-2' }]
+   * });
    */
   connect: function(config) {
-    var self = this;
-
-    if (config.knex) {
-      // config contains an explicit reference to a knex object
-      // we assume it has been configured elsewhere
-      localKnex = config.knex;
-    } else {
-      // make sure that we have user, password, host, and db
-      var user = config.user,
-        password = config.password,
-        database = config.database,
-        dialect = config.dialect,
-        host = config.host || '127.0.0.1',
-        port = config.port || 3306;
-
-      if (!user || !password || !database || !dialect) {
-        throw new Error('knex-modeller.connect() requires a configuration ' +
-            'object which specifies user, password, database, and dialect.');
-      } else {
-        localKnex = require('knex')({
-          dialect: dialect,
-
-          connection: {
-            user: user,
-            password: password,
-            database: database,
-            host: host,
-            port: port
-          },
-
-          // @TODO make this a config option
-          pool: {
-            min: 1,
-            max: 10
-          }
-        });
-      }
+    var name = config.name || 'default',
+      shared = _.omit(config, 'name', 'knex', 'replicas');
+
+    var configs = [config].concat(_.map(config.replicas || [],
+        function(replica) {
+      return _.defaults({}, replica, shared);
+    }));
+
+    var instances = _.map(configs, createKnex),
+      previous = connections[name];
+
+    connections[name] = {
+      primary: instances[0],
+      replicas: instances.slice(1),
+      created: _.filter(instances, function(knex, i) {
+        return !configs[i].knex;
+      })
+    };
+
+    /*
+      After knex is instantiated, bind every model to it
+     */
+    ModelClass.setConnection(name, instances[0], instances.slice(1));
 
-      /*
-        After knex is instantiated, use it to create the Model class
-       */
-      self.Model = require('./lib/model.js')(localKnex);
+    if (previous) {
+      _.each(previous.created, function(knex) {
+        knex.destroy();
+      });
     }
   },
 
   /**
-   * Returns the working instance of Knex, in case the client wants to perform
+   * Returns the working instance of Knex of a connection, or of the default
+   * connection if no name is given, in case the client wants to perform
    * arbitrary queries.
    */
-  getKnex: function() {
-    return localKnex;
+  getKnex: function(name) {
+    var connection = connections[name || 'default'];
+
+    return connection ? connection.primary : null;
+  },
+
+  /**
+   * Closes a connection, or every connection if no name is given, destroying
+   * the connection pools of the instances of knex it created. Instances of
+   * knex passed to connect() are left for their owner to destroy. Models
+   * using the connection cannot query until it is connected again. Resolves
+   * once the pools are closed.
+   */
+  disconnect: function(name) {
+    var names = name ? [name] : _.keys(connections);
+
+    return q.all(_.map(names, function(name) {
+      var connection = connections[name];
+
+      if (!connection) {
+        return null;
+      }
+
+      delete connections[name];
+      ModelClass.removeConnection(name);
+
+      return q.all(_.map(connection.created, function(knex) {
+        return knex.destroy();
+      }));
+    }))
+    .then(function() {});
+  },
+
+  /**
+   * Runs `fn` inside a database transaction on the primary database of a
+   * connection, or of the default connection if no name is given. `fn`
+   * receives the transaction object, which can be passed to any model method
+   * as `options.transacting`. The transaction is committed when the promise
+   * returned by `fn` resolves, and rolled back if it rejects or `fn` throws.
+   *
+   * ex.
+   * modeller.transaction(function(trx) {
+   *   return order.insert({ transacting: trx }).then(function(order) {
+   *     return OrderItem.deleteWhere({ orderId: order.orderId },
+   *         { transacting: trx });
+   *   });
+   * });
+   */
+  transaction: function(fn, name) {
+    var knex = primaryOf(name || 'default', 'starting a transaction');
+
+    return knex.transaction(function(trx) {
+      return q.fcall(fn, trx);
+    });
+  },
+
+  /**
+   * Schema tools. schema.setType() configures how definition types map to
+   * column types for each dialect when creating tables and migrations.
+   */
+  schema: require('./lib/schema.js'),
+
+  /**
+   * Registers a field type, which fields then name in their `type`. Values
+   * are checked with `validate(value, def)`, converted with
+   * `fromDb(value, def)` when read from the database and with
+   * `toDb(value, def)` when written to it. `column` optionally gives the
+   * column type mapping used by the schema tools (see schema.setType()).
+   * The built-in date, json, enum, decimal and boolean types may be replaced
+   * the same way.
+   *
+   * ex.
+   * modeller.registerType('tags', {
+   *   validate: function(value) {
+   *     return Array.isArray(value);
+   *   },
+   *   fromDb: function(value) {
+   *     return value ? value.split(',') : [];
+   *   },
+   *   toDb: function(value) {
+   *     return value.join(',');
+   *   },
+   *   column: { type: 'string' }
+   * });
+   */
+  registerType: function(name, type) {
+    types.register(name, type);
+
+    if (type.column) {
+      modeller.schema.setType(name, type.column);
+    }
+  },
+
+  /**
+   * Thrown by models when values do not fit their definitions. Its `errors`
+   * property lists every failing field.
+   */
+  ValidationError: require('./lib/errors.js').ValidationError,
+
+  /**
+   * Thrown by models with a version field when a record was changed or
+   * deleted by someone else since it was loaded.
+   */
+  StaleRecordError: require('./lib/errors.js').StaleRecordError,
+
+  /**
+   * Creates a model and registers it by its name, which is also its table
+   * name unless it gives a _table. Models may be defined before connect(),
+   * but cannot query the database until it is called. Models may be built
+   * from others with Model.extend() and _mixins; see lib/inherit.js.
+   *
+   * ex.
+   * var Movie = new modeller.Model('Movie', { ... });
+   */
+  Model: ModelClass,
+
+  /**
+   * Returns the model registered for a name. Throws if there is none.
+   */
+  model: function(name) {
+    return ModelClass.model(name);
   },
 
   /**
-   * Temp Model method will be overridden when knex is connected. If the client
-   * tries to call 'new Model()' before connection, we should throw an error.
+   * Returns an object of every registered model, by name.
    */
-  Model: function() {
-    throw new Error('Need to run modeller.connect() before creating a model');
+  models: function() {
+    return ModelClass.models();
   }
 }
 
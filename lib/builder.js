@@ -0,0 +1,263 @@
+/**
+ * builder.js
+ *
+ * A chainable query on a model, composed from where clauses, named scopes
+ * and options, which runs through the model's own get(), count() and other
+ * aggregates so that rows are hydrated, hooks run and soft deleted rows are
+ * left out as usual.
+ *
+ * ex.
+ * Movie.query()
+ * .scope('released')
+ * .where({ year: { $gte: 1990 } })
+ * .orderBy('year', 'desc')
+ * .limit(10)
+ * .all();
+ */
+
+var check = require('check-types'),
+  _ = require('lodash');
+
+/**
+ * Builder constructor. Takes the model to query.
+ */
+function QueryBuilder(model) {
+  this._model = model;
+  this._wheres = [];
+  this._orderBy = [];
+  this._groupBy = [];
+  this._modifiers = [];
+  this._options = {};
+}
+
+/**
+ * Restrict the query with a query object, in the format of get(), or to rows
+ * where `field` equals `value`. Every where clause must hold.
+ */
+QueryBuilder.prototype.where = function(query, value) {
+  if (check.string(query)) {
+    query = _.zipObject([query], [value]);
+  }
+
+  if (!check.object(query)) {
+    throw new TypeError('where() requires a query object or a field name ' +
+        'and a value');
+  }
+
+  this._wheres.push(query);
+
+  return this;
+};
+
+/**
+ * Apply a scope declared in the model's _scopes, passing it any further
+ * arguments. A scope which is a query object is added as a where clause. A
+ * scope function is called with the builder as `this`, and may chain onto
+ * it or return a query object to add.
+ */
+QueryBuilder.prototype.scope = function(name) {
+  var scopes = this._model._scopes;
+
+  if (!_.has(scopes, name)) {
+    throw new Error('Unknown scope ' + name + ' on model ' +
+        this._model._table);
+  }
+
+  var scope = scopes[name],
+    query = check.function(scope) ?
+        scope.apply(this, _.rest(arguments)) : scope;
+
+  if (check.object(query) && !(query instanceof QueryBuilder)) {
+    this.where(query);
+  }
+
+  return this;
+};
+
+/**
+ * Order by a field, ascending unless `direction` is 'desc'. Later calls
+ * break ties in the earlier ones.
+ */
+QueryBuilder.prototype.orderBy = function(field, direction) {
+  if (!check.unemptyString(field) ||
+      (direction && !_.contains(['asc', 'desc'], direction))) {
+    throw new TypeError('orderBy() requires a field name and an optional ' +
+        'direction of asc or desc');
+  }
+
+  this._orderBy.push({ column: field, asc: direction !== 'desc' });
+
+  return this;
+};
+
+/**
+ * Select only the given fields, as an array or as separate arguments, into
+ * partial instances, like options.fields of get().
+ */
+QueryBuilder.prototype.select = function() {
+  return this.options({ fields: _.flatten(_.toArray(arguments)) });
+};
+
+/**
+ * Group the rows by the given fields, as an array or as separate arguments,
+ * so that count() and the other aggregates resolve with a value per group.
+ */
+QueryBuilder.prototype.groupBy = function() {
+  this._groupBy = _.union(this._groupBy, _.flatten(_.toArray(arguments)));
+
+  return this;
+};
+
+/**
+ * Get at most `limit` rows. Like get(), queries are limited to 100 rows
+ * unless told otherwise.
+ */
+QueryBuilder.prototype.limit = function(limit) {
+  return this.options({ limit: limit });
+};
+
+/**
+ * Skip the first `offset` rows.
+ */
+QueryBuilder.prototype.offset = function(offset) {
+  return this.options({ offset: offset });
+};
+
+/**
+ * Eagerly load relations onto the results, like options.include of get().
+ */
+QueryBuilder.prototype.include = function(include) {
+  return this.options({ include: include });
+};
+
+/**
+ * Include soft deleted rows.
+ */
+QueryBuilder.prototype.withDeleted = function() {
+  return this.options({ withDeleted: true });
+};
+
+/**
+ * Select only soft deleted rows.
+ */
+QueryBuilder.prototype.onlyDeleted = function() {
+  return this.options({ onlyDeleted: true });
+};
+
+/**
+ * Set any other options of get() and count(), like transacting or primary.
+ */
+QueryBuilder.prototype.options = function(options) {
+  if (!check.object(options)) {
+    throw new TypeError('options() requires an object');
+  }
+
+  _.extend(this._options, options);
+
+  return this;
+};
+
+/**
+ * Call `fn` with the underlying knex builder before the query runs, for
+ * clauses which query objects cannot express. Columns must be named as they
+ * are in the database.
+ *
+ * ex.
+ * Movie.query().modify(function(builder) {
+ *   builder.whereRaw('year % 10 = 0');
+ * });
+ */
+QueryBuilder.prototype.modify = function(fn) {
+  if (!check.function(fn)) {
+    throw new TypeError('modify() requires a function');
+  }
+
+  this._modifiers.push(fn);
+
+  return this;
+};
+
+/**
+ * Get the query object of every where clause combined.
+ */
+QueryBuilder.prototype.toQuery = function() {
+  if (this._wheres.length < 2) {
+    return _.clone(this._wheres[0] || {});
+  }
+
+  return { $and: _.clone(this._wheres) };
+};
+
+/**
+ * Get the options to run the query with.
+ */
+QueryBuilder.prototype.toOptions = function() {
+  var options = _.clone(this._options),
+    modifiers = this._modifiers;
+
+  if (this._orderBy.length) {
+    options.orderBy = this._orderBy;
+  }
+
+  if (this._groupBy.length) {
+    options.groupBy = this._groupBy;
+  }
+
+  if (modifiers.length) {
+    options.modify = function(builder) {
+      _.each(modifiers, function(fn) {
+        fn(builder);
+      });
+    };
+  }
+
+  return options;
+};
+
+/**
+ * Run the query. Resolves with an array of instances of the model.
+ */
+QueryBuilder.prototype.all = function() {
+  return this._model.get(this.toQuery(), this.toOptions());
+};
+
+/**
+ * Run the query for its first row. Resolves with an instance of the model,
+ * or null if no row matches.
+ */
+QueryBuilder.prototype.first = function() {
+  var options = _.extend(this.toOptions(), { limit: 1 });
+
+  return this._model.get(this.toQuery(), options).then(function(instances) {
+    return instances.length ? instances[0] : null;
+  });
+};
+
+/**
+ * Get the options to run an aggregate with, which ignores the order, limit,
+ * offset and selected fields of the query.
+ */
+QueryBuilder.prototype.toAggregateOptions = function() {
+  return _.omit(this.toOptions(), 'orderBy', 'limit', 'offset', 'include',
+      'fields');
+};
+
+/**
+ * Count the rows which satisfy the query. Resolves with a number, or with an
+ * array of groups and their counts if the query is grouped.
+ */
+QueryBuilder.prototype.count = function() {
+  return this._model.count(this.toQuery(), this.toAggregateOptions());
+};
+
+/**
+ * Aggregate methods sum(), avg(), min() and max(), which take a field and
+ * resolve like count().
+ */
+_.each(['sum', 'avg', 'min', 'max'], function(fn) {
+  QueryBuilder.prototype[fn] = function(field) {
+    return this._model[fn](field, this.toQuery(), this.toAggregateOptions());
+  };
+});
+
+module.exports = QueryBuilder;
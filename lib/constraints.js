@@ -0,0 +1,121 @@
+/**
+ * constraints.js
+ *
+ * Declarative constraints on field values, checked along with their types:
+ * min, max, minLength, maxLength, pattern and oneOf. The unique constraint
+ * needs the database, so models check it themselves on insert and update.
+ */
+
+var check = require('check-types'),
+  _ = require('lodash');
+
+/**
+ * Check whether a value can bound a range: a number or a date.
+ */
+function isBound(value) {
+  return check.number(value) || check.date(value);
+}
+
+/**
+ * Check whether a value is a length: a whole number, zero or more.
+ */
+function isLength(value) {
+  return check.integer(value) && value >= 0;
+}
+
+/**
+ * Throw if the constraints of a field definition are malformed.
+ */
+function checkDefinition(def, key, table) {
+  var field = 'Field ' + key + ' on model ' + table;
+
+  _.each(['min', 'max'], function(name) {
+    if (!_.isUndefined(def[name]) && !isBound(def[name])) {
+      throw new TypeError(field + ' requires a number or a date as ' + name);
+    }
+  });
+
+  _.each(['minLength', 'maxLength'], function(name) {
+    if (!_.isUndefined(def[name]) && !isLength(def[name])) {
+      throw new TypeError(field + ' requires a whole number as ' + name);
+    }
+  });
+
+  if (!_.isUndefined(def.pattern) && !_.isRegExp(def.pattern)) {
+    throw new TypeError(field + ' requires a regular expression as pattern');
+  }
+
+  if (!_.isUndefined(def.oneOf) &&
+      (!check.array(def.oneOf) || !def.oneOf.length)) {
+    throw new TypeError(field + ' requires a list of values as oneOf');
+  }
+
+  if (!_.isUndefined(def.unique) && !check.boolean(def.unique)) {
+    throw new TypeError(field + ' requires a boolean as unique');
+  }
+}
+
+/**
+ * Get an error entry (see lib/errors.js) for a failed constraint.
+ */
+function violation(key, rule, expected, actual, message) {
+  return {
+    field: key,
+    rule: rule,
+    expected: expected,
+    actual: actual,
+    message: 'Field ' + key + ' ' + message
+  };
+}
+
+/**
+ * Get the error entries for every constraint of a field definition which a
+ * value of the right type fails. Length constraints apply to strings and
+ * arrays, and pattern to strings.
+ */
+function violations(def, key, value) {
+  var entries = [],
+    length = check.string(value) || check.array(value) ? value.length : null;
+
+  if (!_.isUndefined(def.min) && value < def.min) {
+    entries.push(violation(key, 'min', def.min, value,
+        'must be at least ' + def.min + ' but is ' + value));
+  }
+
+  if (!_.isUndefined(def.max) && value > def.max) {
+    entries.push(violation(key, 'max', def.max, value,
+        'must be at most ' + def.max + ' but is ' + value));
+  }
+
+  if (!_.isUndefined(def.minLength) && !_.isNull(length) &&
+      length < def.minLength) {
+    entries.push(violation(key, 'minLength', def.minLength, length,
+        'must have a length of at least ' + def.minLength + ' but has ' +
+        'length ' + length));
+  }
+
+  if (!_.isUndefined(def.maxLength) && !_.isNull(length) &&
+      length > def.maxLength) {
+    entries.push(violation(key, 'maxLength', def.maxLength, length,
+        'must have a length of at most ' + def.maxLength + ' but has ' +
+        'length ' + length));
+  }
+
+  // search() ignores the lastIndex of global patterns
+  if (def.pattern && check.string(value) && value.search(def.pattern) < 0) {
+    entries.push(violation(key, 'pattern', String(def.pattern), value,
+        'must match ' + def.pattern));
+  }
+
+  if (def.oneOf && !_.contains(def.oneOf, value)) {
+    entries.push(violation(key, 'oneOf', def.oneOf, value,
+        'must be one of ' + def.oneOf.join(', ') + ' but is ' + value));
+  }
+
+  return entries;
+}
+
+module.exports = {
+  checkDefinition: checkDefinition,
+  violations: violations
+};
@@ -0,0 +1,125 @@
+/**
+ * cursor.js
+ *
+ * Ordering and keyset pagination. A cursor is an opaque token holding the
+ * values of the order columns for a row; pages after (or before) that row are
+ * found by comparing the order columns against those values, which stays fast
+ * and consistent on large tables where OFFSET does not.
+ */
+
+var check = require('check-types'),
+  _ = require('lodash');
+
+/**
+ * Normalize the orderBy and asc options into a list of {column, asc}. Each
+ * orderBy entry is a column name, which takes its direction from `asc`, or an
+ * object like { column: 'year', asc: false }. Any `tiebreakers` missing from
+ * the order are appended so that the order is total, which keyset pagination
+ * requires.
+ */
+function normalizeOrder(orderBy, asc, tiebreakers) {
+  var entries = check.array(orderBy) ? orderBy : _.compact([orderBy]);
+
+  var order = _.map(entries, function(entry) {
+    if (check.string(entry)) {
+      return { column: entry, asc: asc !== false };
+    }
+
+    if (check.object(entry) && check.string(entry.column)) {
+      return { column: entry.column, asc: entry.asc !== false };
+    }
+
+    throw new TypeError('orderBy entries must be column names or objects ' +
+        'with a column');
+  });
+
+  _.each(tiebreakers || [], function(tiebreaker) {
+    if (!_.find(order, { column: tiebreaker })) {
+      order.push({
+        column: tiebreaker,
+        asc: order.length ? _.last(order).asc : true
+      });
+    }
+  });
+
+  return order;
+}
+
+/**
+ * Add the order to a knex builder, reversing every direction if `reverse`.
+ */
+function applyOrder(builder, order, reverse) {
+  _.each(order, function(entry) {
+    builder.orderBy(entry.column, entry.asc !== !!reverse ? 'asc' : 'desc');
+  });
+
+  return builder;
+}
+
+/**
+ * Encode the cursor for a row under the given order.
+ */
+function encode(order, row) {
+  var token = JSON.stringify({
+    c: _.pluck(order, 'column'),
+    v: _.map(order, function(entry) {
+      return row[entry.column];
+    })
+  });
+
+  return Buffer.from(token).toString('base64');
+}
+
+/**
+ * Decode a cursor into the values of the order columns. Throws if the cursor
+ * is malformed or was made under a different order.
+ */
+function decode(order, cursor) {
+  var decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+  } catch (e) {
+    throw new TypeError('Invalid cursor ' + cursor);
+  }
+
+  if (!check.object(decoded) || !check.array(decoded.v) ||
+      !_.isEqual(decoded.c, _.pluck(order, 'column'))) {
+    throw new TypeError('Cursor ' + cursor + ' does not match the order ' +
+        'of the query');
+  }
+
+  return decoded.v;
+}
+
+/**
+ * Restrict a knex builder to the rows after (or, if not `forward`, before)
+ * the row whose order column values are `values`. For an order of (a, b)
+ * ascending, the rows after (x, y) are those where a > x, or a = x and b > y.
+ */
+function applyKeyset(builder, order, values, forward) {
+  return builder.where(function() {
+    var outer = this;
+
+    _.each(order, function(entry, i) {
+      outer.orWhere(function() {
+        var inner = this;
+
+        _.each(order.slice(0, i), function(previous, j) {
+          inner.where(previous.column, values[j]);
+        });
+
+        inner.where(entry.column, entry.asc === forward ? '>' : '<',
+            values[i]);
+      });
+    });
+  });
+}
+
+module.exports = {
+  normalizeOrder: normalizeOrder,
+  applyOrder: applyOrder,
+  encode: encode,
+  decode: decode,
+  applyKeyset: applyKeyset
+};
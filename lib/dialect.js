@@ -0,0 +1,142 @@
+/**
+ * dialect.js
+ *
+ * SQL and driver differences between the database dialects knex supports.
+ */
+
+var check = require('check-types'),
+  _ = require('lodash');
+
+/**
+ * Get the dialect of a knex instance or transaction.
+ */
+function dialectOf(knex) {
+  return knex.client && knex.client.dialect;
+}
+
+/**
+ * Get the clause to append to an INSERT statement into `table` so that rows
+ * which conflict on `conflictKeys` update `columns` instead, and increment the
+ * `increment` column if one is given. `wrap` quotes an identifier for the
+ * dialect.
+ */
+function upsertClause(dialect, wrap, table, conflictKeys, columns,
+    increment) {
+  var sets;
+
+  switch (dialect) {
+    case 'mysql':
+    case 'mariadb':
+      // MySQL finds conflicts on any unique key by itself, and needs at least
+      // one column to update
+      if (!columns.length && !increment) {
+        columns = conflictKeys.slice(0, 1);
+      }
+
+      sets = _.map(columns, function(column) {
+        return wrap(column) + ' = values(' + wrap(column) + ')';
+      });
+
+      if (increment) {
+        sets.push(wrap(increment) + ' = ' + wrap(increment) + ' + 1');
+      }
+
+      return ' on duplicate key update ' + sets.join(', ');
+
+    case 'postgresql':
+    case 'sqlite3':
+      sets = _.map(columns, function(column) {
+        return wrap(column) + ' = excluded.' + wrap(column);
+      });
+
+      if (increment) {
+        sets.push(wrap(increment) + ' = ' + wrap(table) + '.' +
+            wrap(increment) + ' + 1');
+      }
+
+      return ' on conflict (' + _.map(conflictKeys, wrap).join(', ') + ') ' +
+          (sets.length ? 'do update set ' + sets.join(', ') : 'do nothing');
+
+    default:
+      throw new Error('upsert() is not supported for dialect ' + dialect);
+  }
+}
+
+/**
+ * Get the rows from the result of a raw query. The MySQL driver resolves with
+ * the rows and the field definitions, Postgres with a result object holding
+ * the rows, and sqlite with the rows alone. Statements which return no rows
+ * resolve with the driver's result unchanged.
+ */
+function rawRows(dialect, data) {
+  switch (dialect) {
+    case 'mysql':
+    case 'mariadb':
+      return check.array(data) ? data[0] : data;
+
+    case 'postgresql':
+      return data && check.array(data.rows) ? data.rows : data;
+
+    default:
+      return data;
+  }
+}
+
+/**
+ * Matches the parts of a SQL string which named bindings must skip (quoted
+ * strings and identifiers, and Postgres :: casts) along with named bindings,
+ * which may be escaped with a backslash.
+ */
+var namedPattern = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|::|(\\?):(\w+)/g;
+
+/**
+ * Replace the named bindings in a SQL string, like :year, with positional
+ * ones, returning { sql, bindings } for knex. An array value binds one
+ * placeholder per element, for use in IN lists. Throws if a name has no
+ * value.
+ *
+ * ex.
+ * namedBindings('select * from Movie where year = :year', { year: 1999 })
+ * // => { sql: 'select * from Movie where year = ?', bindings: [1999] }
+ */
+function namedBindings(sql, values) {
+  var bindings = [];
+
+  var compiled = sql.replace(namedPattern, function(match, escape, name) {
+    if (!name) {
+      return match;
+    }
+
+    if (escape) {
+      return ':' + name;
+    }
+
+    if (!_.has(values, name)) {
+      throw new Error('Missing value for named binding :' + name);
+    }
+
+    var value = values[name];
+
+    if (check.array(value)) {
+      bindings.push.apply(bindings, value);
+
+      return _.map(value, _.constant('?')).join(', ');
+    }
+
+    bindings.push(value);
+
+    return '?';
+  });
+
+  return {
+    sql: compiled,
+    bindings: bindings
+  };
+}
+
+module.exports = {
+  dialectOf: dialectOf,
+  upsertClause: upsertClause,
+  rawRows: rawRows,
+  namedBindings: namedBindings
+};
@@ -0,0 +1,61 @@
+/**
+ * errors.js
+ *
+ * Error classes thrown by models.
+ */
+
+var util = require('util'),
+  _ = require('lodash');
+
+/**
+ * Thrown when values do not fit a model's definitions. `errors` holds one
+ * entry per failing field and rule:
+ *
+ * {
+ *   field: 'year',
+ *   rule: 'type',         // 'required', 'type' or 'validate'
+ *   expected: 'number',
+ *   actual: 'string',
+ *   message: 'Field year requires type number but has type string'
+ * }
+ *
+ * Inherits from TypeError, which models threw for bad values before this
+ * class existed.
+ */
+function ValidationError(table, errors) {
+  this.name = 'ValidationError';
+  this.table = table;
+  this.errors = errors;
+  this.message = _.pluck(errors, 'message').join('; ');
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ValidationError);
+  }
+}
+
+util.inherits(ValidationError, TypeError);
+
+/**
+ * Thrown when a write to a record with a version field affects no rows,
+ * because someone else changed or deleted the record since it was loaded.
+ * `conditions` holds the primary key and version the write was made against.
+ */
+function StaleRecordError(table, conditions) {
+  this.name = 'StaleRecordError';
+  this.table = table;
+  this.conditions = conditions;
+  this.message = 'Record in ' + table + ' matching ' +
+      JSON.stringify(conditions) + ' was changed or deleted since it was ' +
+      'loaded';
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, StaleRecordError);
+  }
+}
+
+util.inherits(StaleRecordError, Error);
+
+module.exports = {
+  ValidationError: ValidationError,
+  StaleRecordError: StaleRecordError
+};
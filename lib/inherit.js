@@ -0,0 +1,127 @@
+/**
+ * inherit.js
+ *
+ * Merges model definitions for Model.extend() and _mixins. Definitions are
+ * layered: those of the model being extended, then its mixins, then its own.
+ *
+ * - A field of a later layer replaces the field of the same name, and a
+ *   field given as null removes it.
+ * - Entries of _statics, _overrides, _relations, _computed and _scopes are
+ *   merged by name, the later layer winning.
+ * - _hooks are concatenated, so that inherited hooks run first.
+ * - Any other special definition, like _softDelete or _timestamps, is
+ *   replaced by the later layer.
+ *
+ * Mixins are peers: two mixins of one model which define the same field,
+ * entry or special definition differently throw, rather than depending on
+ * their order.
+ */
+
+var check = require('check-types'),
+  _ = require('lodash');
+
+/**
+ * Special definitions holding named entries, merged by name.
+ */
+var namedKeys = ['_statics', '_overrides', '_relations', '_computed',
+    '_scopes'];
+
+/**
+ * Special definitions which apply only to the model they are given on, and
+ * are not inherited.
+ */
+var ownKeys = ['_table'];
+
+/**
+ * Get the definitions of a mixin, which may be a definitions object or a
+ * model, whose original definitions are used.
+ */
+function definitionsOf(mixin, table) {
+  if (check.function(mixin) && check.object(mixin._definitions)) {
+    return _.omit(mixin._definitions, ownKeys);
+  }
+
+  if (!check.object(mixin)) {
+    throw new TypeError('Mixins of model ' + table + ' must be definitions ' +
+        'objects or models');
+  }
+
+  return mixin;
+}
+
+/**
+ * Throw if `key` is set differently by two mixins.
+ */
+function assertSame(existing, value, key, table) {
+  if (!_.isUndefined(existing) && !_.isEqual(existing, value)) {
+    throw new Error('Mixins of model ' + table + ' conflict on ' + key);
+  }
+}
+
+/**
+ * Lay the definitions `layer` over `target`, in place. With `strict`, keys
+ * which are already set differently throw instead of being replaced.
+ */
+function overlay(target, layer, strict, table) {
+  _.each(layer, function(value, key) {
+    if (key === '_hooks') {
+      target._hooks = target._hooks || {};
+
+      _.each(value, function(hooks, name) {
+        target._hooks[name] = [].concat(target._hooks[name] || [], hooks);
+      });
+    } else if (_.contains(namedKeys, key)) {
+      target[key] = target[key] || {};
+
+      _.each(value, function(entry, name) {
+        if (strict) {
+          assertSame(target[key][name], entry, key + '.' + name, table);
+        }
+
+        target[key][name] = entry;
+      });
+    } else {
+      if (strict) {
+        assertSame(target[key], value, key, table);
+      }
+
+      target[key] = value;
+    }
+  });
+
+  return target;
+}
+
+/**
+ * Get the definitions of a model from those it inherits, the definitions
+ * named in its _mixins and its own. Returns the definitions unchanged if
+ * there is nothing to merge.
+ */
+function merge(inherited, definitions, table) {
+  var mixins = definitions._mixins;
+
+  if (!inherited && _.isUndefined(mixins)) {
+    return definitions;
+  }
+
+  if (!_.isUndefined(mixins) && !check.array(mixins)) {
+    throw new TypeError('Model _mixins must be an array');
+  }
+
+  // mixins may have mixins of their own
+  var mixed = _.reduce(mixins || [], function(result, mixin) {
+    return overlay(result, _.cloneDeep(merge(null,
+        definitionsOf(mixin, table), table)), true, table);
+  }, {});
+
+  var merged = overlay(overlay(_.cloneDeep(_.omit(inherited || {}, ownKeys)),
+      mixed, false, table), _.cloneDeep(_.omit(definitions, '_mixins')), false,
+      table);
+
+  // fields given as null are removed
+  return _.omit(merged, _.isNull);
+}
+
+module.exports = {
+  merge: merge
+};
@@ -6,13 +6,59 @@
 
 var check = require('check-types'),
   _ = require('lodash'),
-  q = require('q');
+  q = require('q'),
+  stream = require('stream'),
+  relations = require('./relations.js'),
+  schema = require('./schema.js'),
+  dialect = require('./dialect.js'),
+  compileQuery = require('./query.js').compileQuery,
+  cursor = require('./cursor.js'),
+  QueryBuilder = require('./builder.js'),
+  types = require('./types.js'),
+  inherit = require('./inherit.js'),
+  constraints = require('./constraints.js'),
+  errors = require('./errors.js'),
+  ValidationError = errors.ValidationError,
+  StaleRecordError = errors.StaleRecordError;
 
 /**
- * Validate that the 'values' object is consistent with the property definitions
- * in 'properties'. Throw an error if anything is out of sync.
+ * Get the error entry for the result of a custom validate() function, or null
+ * if the value passed. A function may return true, false, a message string, or
+ * a promise for any of those.
+ */
+function validationEntry(key, value, valid) {
+  if (valid === true) {
+    // everything is fine
+    return null;
+  }
+
+  if (valid === false || _.isString(valid)) {
+    // did not pass validation function
+    return {
+      field: key,
+      rule: 'validate',
+      expected: 'valid value',
+      actual: value,
+      message: valid || 'Value ' + value + ' did not pass custom ' +
+          'validation function on field ' + key
+    };
+  }
+
+  throw new TypeError('validate() function for ' + key + ' must return ' +
+      'a boolean, a message string or a promise.');
+}
+
+/**
+ * Collect every way in which the 'values' object is inconsistent with the
+ * property definitions in 'definitions'. Returns the list of error entries
+ * (see lib/errors.js), along with a list of promises for the entries of any
+ * custom validate() functions which returned a promise. Custom validate()
+ * functions are only called if `custom` is true.
  */
-function checkTypes(definitions, values) {
+function collectErrors(definitions, values, custom) {
+  var errors = [],
+    pending = [];
+
   _.each(definitions, function(def, key) {
     var value = values[key];
 
@@ -29,36 +75,210 @@ function checkTypes(definitions, values) {
         // or automatically assigned, return and move on to the next value
         return;
       } else {
-        // otherwise throw an error
-        throw new Error('Missing required property ' + key);
+        // otherwise the property is missing
+        errors.push({
+          field: key,
+          rule: 'required',
+          expected: def.type,
+          actual: value,
+          message: 'Missing required property ' + key
+        });
+
+        return;
       }
     }
 
     // assert that the types match
-    try {
-      check.assert[def.type](value);
-    } catch (e) {
-      throw new TypeError('Field ' + key + ' requires type ' + def.type +
-          ' but has type ' + typeof value);
+    if (!types.isValid(def, value)) {
+      errors.push({
+        field: key,
+        rule: 'type',
+        expected: def.type,
+        actual: typeof value,
+        message: 'Field ' + key + ' requires type ' + def.type +
+            ' but has type ' + typeof value
+      });
+
+      return;
     }
 
-    if (check.function(def.validate)) {
+    // assert that the value meets the constraints of the field
+    var violated = constraints.violations(def, key, value);
+
+    if (violated.length) {
+      errors.push.apply(errors, violated);
+
+      return;
+    }
+
+    if (custom && check.function(def.validate)) {
       // if there is a validation function in the definitions, assert that the
       // value passes that as well
       var valid = def.validate(value);
 
-      if (valid === true) {
-        // everything is fine
-      } else if (valid === false) {
-        // did not pass validation function
-        throw new TypeError('Value ' + value + ' did not pass custom ' +
-            'validation function on field ' + key);
+      if (q.isPromiseAlike(valid)) {
+        pending.push(q(valid).then(function(result) {
+          return validationEntry(key, value, result);
+        }));
       } else {
-        throw new TypeError('validate() function for ' + key + ' must return ' +
-            'a boolean.');
+        var entry = validationEntry(key, value, valid);
+
+        if (entry) {
+          errors.push(entry);
+        }
       }
     }
   });
+
+  return {
+    errors: errors,
+    pending: pending
+  };
+}
+
+/**
+ * Validate that the 'values' object is consistent with the property definitions
+ * in 'properties'. Throw a ValidationError listing every field which is out of
+ * sync. Custom validate() functions, which may need a database round trip,
+ * are left to validateValues() where their results are waited for.
+ */
+function checkTypes(definitions, values, table) {
+  var errors = collectErrors(definitions, values, false).errors;
+
+  if (errors.length) {
+    throw new ValidationError(table, errors);
+  }
+}
+
+/**
+ * Validate the 'values' object like checkTypes(), but wait for any custom
+ * validate() functions which return promises. Resolves with the full list of
+ * error entries, which is empty if the values are valid.
+ */
+function validateValues(definitions, values) {
+  return q.fcall(collectErrors, definitions, values, true)
+  .then(function(result) {
+    return q.all(result.pending).then(function(entries) {
+      return result.errors.concat(_.compact(entries));
+    });
+  });
+}
+
+/**
+ * Get a clone of 'values' with the transform() function of any matching
+ * definition applied.
+ */
+function applyTransforms(definitions, values) {
+  var clone = _.clone(values);
+
+  _.each(clone, function(val, key) {
+    if (_.has(definitions, key) &&
+        check.function(definitions[key].transform)) {
+      clone[key] = definitions[key].transform(val);
+    }
+  });
+
+  return clone;
+}
+
+/**
+ * The names of lifecycle hooks which may be given in definitions._hooks.
+ */
+var hookNames = [
+  'beforeInsert', 'afterInsert', 'beforeUpdate', 'afterUpdate',
+  'beforeDelete', 'afterDelete', 'beforeDeleteWhere', 'afterDeleteWhere',
+  'afterFetch'
+];
+
+/**
+ * Validate the _hooks definition of a model and return a map of hook name to
+ * a list of hook functions.
+ */
+function defineHooks(table, hooks) {
+  var defined = {};
+
+  _.each(hooks, function(hook, name) {
+    if (!_.contains(hookNames, name)) {
+      throw new Error('Unknown hook ' + name + ' on model ' + table);
+    }
+
+    hook = check.array(hook) ? hook : [hook];
+
+    if (!_.every(hook, check.function)) {
+      throw new TypeError('Model _hooks object should only contain ' +
+          'functions or arrays of functions');
+    }
+
+    defined[name] = hook;
+  });
+
+  return defined;
+}
+
+/**
+ * Run the hooks registered under `name` one after the other, each called with
+ * `args` and with the first argument as `this`. Resolves once every hook has
+ * resolved, and rejects as soon as one of them throws or rejects.
+ */
+function runHooks(hooks, name, args) {
+  return _.reduce(hooks[name] || [], function(promise, hook) {
+    return promise.then(function() {
+      return hook.apply(args[0], args);
+    });
+  }, q());
+}
+
+/**
+ * Record the current values of an instance's defined fields as the values it
+ * was loaded with, marking it as persisted. The record is kept in a
+ * non-enumerable property so that it is never written back to the database.
+ */
+function remember(definitions, instance) {
+  var original = _.cloneDeep(_.pick(instance, function(val, key) {
+    return definitions.hasOwnProperty(key);
+  }));
+
+  Object.defineProperty(instance, '_original', {
+    value: original,
+    writable: true,
+    configurable: true,
+    enumerable: false
+  });
+
+  return instance;
+}
+
+/**
+ * Get the names of the defined fields of an instance which differ from the
+ * values it was loaded with. Every field with a value counts as changed on an
+ * instance which has not been persisted.
+ */
+function changedFields(definitions, instance) {
+  return _.filter(_.keys(definitions), function(key) {
+    if (!instance._original) {
+      return !_.isUndefined(instance[key]);
+    }
+
+    return !_.isEqual(instance[key], instance._original[key]);
+  });
+}
+
+/**
+ * Serialize a value for toJSON(): instances through their own toJSON() with
+ * `options`, and arrays element by element.
+ */
+function serialize(value, options) {
+  if (check.array(value)) {
+    return _.map(value, function(item) {
+      return serialize(item, options);
+    });
+  }
+
+  if (value && check.function(value.toJSON) && !_.isDate(value)) {
+    return value.toJSON(options);
+  }
+
+  return value;
 }
 
 /**
@@ -71,9 +291,23 @@ function applyValues(obj, values) {
 }
 
 /**
- * Function to create the Model class using an arbitrary instance of Knex.
+ * Function to create the Model class using an arbitrary instance of Knex. The
+ * instance may be left out and given later with Model.setKnex(), so that
+ * models can be defined before the database is connected.
  */
 function createModelClass(knex) {
+  /**
+   * Every model created by this class, by name, which is its table name
+   * unless it gives a _table.
+   */
+  var registry = {};
+
+  /**
+   * The connections models may use, by name. Each holds the knex instance of
+   * the primary database, and those of any read replicas.
+   */
+  var connections = {};
+
   /**
    * Model constructor. Takes a list of definitions and their expected types.
    * All fields are mandatory unless marked nullable.
@@ -89,17 +323,77 @@ function createModelClass(knex) {
    *     type: 'positive'
    *   }
    *   year: {
-   *     type: 'number'
+   *     type: 'number',
+   *     column: 'release_year', // name of the column in the database
+   *     min: 1888 // also max
    *   },
    *   title: {
    *     type: 'string',
-   *     default: 'Untitled'
+   *     default: 'Untitled',
+   *     maxLength: 200 // also minLength
+   *   },
+   *   slug: {
+   *     type: 'string',
+   *     pattern: /^[a-z0-9-]+$/,
+   *     unique: true // checked against the table on insert and update
+   *   },
+   *   format: {
+   *     type: 'string',
+   *     oneOf: ['35mm', '70mm', 'digital']
    *   },
    *   metadata: {
    *     type: 'string',
    *     nullable: true,
+   *     hidden: true, // left out of toJSON()
    *     default: getMetadata // function to get metadata
-   *   }
+   *   },
+   *   version: {
+   *     type: 'positive',
+   *     version: true // optimistic locking, starts at 1
+   *   },
+   *   rating: {
+   *     type: 'enum', // also date, json, decimal, boolean, or a type added
+   *     values: ['G', 'PG', 'R'] // with modeller.registerType()
+   *   },
+   *   budget: {
+   *     type: 'decimal',
+   *     precision: 12,
+   *     scale: 2
+   *   },
+   *   _relations: {
+   *     productionCompany: {
+   *       type: 'belongsTo',
+   *       model: ProductionCompany,
+   *       foreignKey: 'productionCompanyId'
+   *     }
+   *   },
+   *   _computed: {
+   *     label: function() {
+   *       return this.title + ' (' + this.year + ')';
+   *     }
+   *   },
+   *   _scopes: {
+   *     classics: { year: { $lt: 1970 } },
+   *     by: function(companyId) {
+   *       return { productionCompanyId: companyId };
+   *     }
+   *   },
+   *   _hooks: {
+   *     beforeUpdate: function(movie, changes, knex) {
+   *       changes.metadata = getMetadata();
+   *     }
+   *   },
+   *   _softDelete: {
+   *     column: 'deletedAt',
+   *     strategy: 'timestamp'
+   *   },
+   *   _timestamps: {
+   *     createdAt: 'createdAt',
+   *     updatedAt: 'updatedAt'
+   *   },
+   *   _connection: 'catalog',
+   *   _naming: 'snakeCase',
+   *   _mixins: [Audited] // definitions shared with other models
    * });
    */
   function Model(table, definitions) {
@@ -108,6 +402,35 @@ function createModelClass(knex) {
           'and an object schema definition');
     }
 
+    if (_.has(registry, table)) {
+      throw new Error('Model ' + table + ' is already defined');
+    }
+
+    /**
+     * Merge the definitions of any _mixins into those given (see
+     * lib/inherit.js), and keep a copy of the result for extend() before the
+     * special definitions are parsed out of it.
+     */
+    definitions = inherit.merge(null, definitions, table);
+
+    var source = _.cloneDeep(definitions),
+      name = table;
+
+    /**
+     * Use special definition _table to store the model in a table other than
+     * the one it is named after, as the subtypes of a model with a
+     * _discriminator do.
+     */
+    if (definitions._table) {
+      if (!check.unemptyString(definitions._table)) {
+        throw new TypeError('Model _table must be a table name');
+      }
+
+      table = definitions._table;
+    }
+
+    delete definitions._table;
+
     /**
      * The Model constructor to return.
      */
@@ -119,15 +442,10 @@ function createModelClass(knex) {
       });
 
       // apply transform for any definitions that have a transform() function
-      // @TODO make this a function
-      _.each(values, function(val, key) {
-        if (check.function(definitions[key].transform)) {
-          values[key] = definitions[key].transform(val);
-        }
-      });
+      values = applyTransforms(definitions, values);
 
       // throw an error if any provided values have bad types
-      checkTypes(definitions, values);
+      checkTypes(definitions, values, table);
 
       // apply the values to this object
       applyValues(this, values);
@@ -145,6 +463,244 @@ function createModelClass(knex) {
       m.statics = {};
     }
 
+    /**
+     * Use special definition _relations for relations to other models. These
+     * are validated against the remaining definitions, then removed so that
+     * they do not get caught in type checking.
+     */
+    if (definitions._relations) {
+      var relationDefs = definitions._relations;
+      delete definitions._relations;
+
+      m._relations = relations.defineRelations(table, definitions,
+          relationDefs);
+
+      _.each(m._relations, function(rel) {
+        if (check.string(rel.model)) {
+          // look up models named by string once the relation is used, so that
+          // they may be defined after this one
+          var name = rel.model;
+
+          rel.model = function() {
+            return Model.model(name);
+          };
+        }
+      });
+    } else {
+      m._relations = {};
+    }
+
+    /**
+     * Use special definition _computed for virtual fields, which are computed
+     * from the values of an instance rather than stored. Each is a function
+     * called with the instance as `this`. They are read like fields and
+     * included in toJSON(), but never written to the database.
+     */
+    var computed = definitions._computed || {};
+    delete definitions._computed;
+
+    if (!check.object(computed) || !_.every(computed, check.function)) {
+      throw new TypeError('Model _computed object should only contain ' +
+          'functions');
+    }
+
+    _.each(computed, function(fn, name) {
+      if (_.has(definitions, name) || _.has(m._relations, name)) {
+        throw new Error('Computed field ' + name + ' on model ' + table +
+            ' conflicts with a field or relation of the same name');
+      }
+    });
+
+    m._computed = computed;
+
+    /**
+     * Use special definition _scopes for named, reusable parts of queries,
+     * applied with query().scope(). Each is a query object, or a function
+     * called with the query builder as `this` and any arguments to scope(),
+     * which may chain onto the builder or return a query object.
+     */
+    var scopes = definitions._scopes || {};
+    delete definitions._scopes;
+
+    if (!check.object(scopes) || !_.every(scopes, function(scope) {
+      return check.function(scope) || check.object(scope);
+    })) {
+      throw new TypeError('Model _scopes object should only contain ' +
+          'functions or query objects');
+    }
+
+    m._scopes = scopes;
+
+    /**
+     * Use special definition _hooks for lifecycle hooks. Each hook is a
+     * function, or an array of functions run in order, which may return a
+     * promise. Hooks receive the instance first, then any payload, then the
+     * knex instance or transaction the operation runs against:
+     *
+     * beforeInsert(instance, knex), afterInsert(inserted, knex)
+     * beforeUpdate(instance, changes, knex), afterUpdate(updated, knex)
+     * beforeDelete(instance, knex), afterDelete(instance, knex)
+     * beforeDeleteWhere(query, knex), afterDeleteWhere(query, knex)
+     * afterFetch(instance, knex)
+     *
+     * Before-hooks may mutate the instance, changes or query in place, and
+     * abort the operation by throwing or rejecting. Hooks do not run for
+     * methods which are replaced with _overrides.
+     */
+    if (definitions._hooks) {
+      m._hooks = defineHooks(table, definitions._hooks);
+      delete definitions._hooks;
+    } else {
+      m._hooks = {};
+    }
+
+    /**
+     * Use special definition _softDelete to configure soft deletion, which
+     * flags rows as deleted instead of removing them:
+     *
+     * _softDelete: { column: 'deletedAt', strategy: 'timestamp' }
+     *
+     * The 'boolean' strategy (the default) flips the column from 0 to 1, or
+     * from false to true if its field has the boolean type, and the
+     * 'timestamp' strategy sets a nullable column from null to the time
+     * of deletion. A model with a field called `deleted` soft deletes with the
+     * boolean strategy unless _softDelete is false.
+     */
+    var softDelete = definitions._softDelete;
+    delete definitions._softDelete;
+
+    if (_.isUndefined(softDelete) && definitions.hasOwnProperty('deleted')) {
+      softDelete = { column: 'deleted' };
+    }
+
+    if (softDelete) {
+      softDelete = _.defaults({}, softDelete, { strategy: 'boolean' });
+
+      if (!definitions.hasOwnProperty(softDelete.column)) {
+        throw new TypeError('Soft delete on model ' + table + ' requires ' +
+            'a defined column');
+      }
+
+      if (!_.contains(['boolean', 'timestamp'], softDelete.strategy)) {
+        throw new TypeError('Unknown soft delete strategy ' +
+            softDelete.strategy + ' on model ' + table);
+      }
+
+      if (softDelete.strategy === 'timestamp' &&
+          !definitions[softDelete.column].nullable) {
+        throw new TypeError('Timestamp soft delete column ' +
+            softDelete.column + ' on model ' + table + ' must be nullable');
+      }
+    }
+
+    /**
+     * Use special definition _connection to name the connection the model
+     * uses, as given to modeller.connect(). Defaults to 'default'.
+     */
+    var connectionName = definitions._connection || 'default';
+    delete definitions._connection;
+
+    if (!check.unemptyString(connectionName)) {
+      throw new TypeError('Model _connection must be a connection name');
+    }
+
+    /**
+     * Use special definition _discriminator for single-table inheritance:
+     * the string field which records the type of each row. Models made with
+     * extend() then share the table, each storing its name (or the `value`
+     * it gives) in the field, and rows are hydrated as the model of their
+     * type.
+     *
+     * _discriminator: 'kind'
+     * _discriminator: { field: 'kind', value: 'feature' }
+     */
+    var discriminator = definitions._discriminator;
+    delete definitions._discriminator;
+
+    if (check.string(discriminator)) {
+      discriminator = { field: discriminator };
+    }
+
+    if (discriminator) {
+      if (!check.object(discriminator) ||
+          !_.has(definitions, discriminator.field) ||
+          definitions[discriminator.field].type !== 'string') {
+        throw new TypeError('Model _discriminator on model ' + table +
+            ' must name a string field');
+      }
+
+      if (discriminator.value && _.isUndefined(
+          definitions[discriminator.field].default)) {
+        // new records are stored as this type
+        definitions[discriminator.field].default = discriminator.value;
+      }
+    }
+
+    /**
+     * Use special definition _naming for the strategy which names the column
+     * of each field that does not give its own `column`: 'snakeCase' to store
+     * productionCompanyId as production_company_id, or a function taking the
+     * field name and returning the column name. By default columns are named
+     * like their fields.
+     */
+    var naming = definitions._naming;
+    delete definitions._naming;
+
+    if (naming === 'snakeCase') {
+      naming = _.snakeCase;
+    } else if (naming && !check.function(naming)) {
+      throw new TypeError('Model _naming must be \'snakeCase\' or a function');
+    }
+
+    /**
+     * Use special definition _timestamps to have the model stamp the time
+     * records are created and updated:
+     *
+     * _timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+     *
+     * `true` uses the columns createdAt and updatedAt, and either column may
+     * be false to leave it out. `now` may give a function returning the
+     * current date, which is also used for timestamp soft deletes; tests can
+     * use it to fix the clock. Columns which are not given a value are filled
+     * on insert, and the updated column is refreshed on every update.
+     */
+    var timestamps = definitions._timestamps;
+    delete definitions._timestamps;
+
+    if (timestamps) {
+      timestamps = _.defaults({}, check.object(timestamps) ? timestamps : {}, {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt',
+        now: function() {
+          return new Date();
+        }
+      });
+
+      if (!check.function(timestamps.now)) {
+        throw new TypeError('Timestamps clock on model ' + table + ' must ' +
+            'be a function');
+      }
+
+      _.each([timestamps.createdAt, timestamps.updatedAt], function(column) {
+        if (column === false) {
+          return;
+        }
+
+        if (!definitions.hasOwnProperty(column)) {
+          throw new TypeError('Timestamp column ' + column + ' is not ' +
+              'defined on model ' + table);
+        }
+
+        if (_.isUndefined(definitions[column].default)) {
+          // new instances are valid without a timestamp, which is filled on
+          // insert
+          definitions[column].default = function() {
+            return timestamps.now();
+          };
+        }
+      });
+    }
+
     /**
      * definitions._overrides contains user-defined overrides for the methods
      * get(), getOne(), insert(), update(), and delete().
@@ -160,7 +716,9 @@ function createModelClass(knex) {
 
       // List of methods which may be overridden
       var mutableMethods = [
-				'get', 'getOne', 'insert', 'update', 'deleteWhere', 'delete'
+				'get', 'getOne', 'insert', 'update', 'deleteWhere', 'delete',
+				'insertMany', 'upsert', 'updateWhere', 'count', 'paginate', 'stream',
+				'restoreWhere', 'restore', 'forceDelete'
 			];
 
       // validate each override in definition._overrides
@@ -191,218 +749,1632 @@ function createModelClass(knex) {
     /**
      * Set static properties on the model.
      *
-     * m._primaryKey holds the name of the primary key for this model.
+     * m._table holds the name of the table for this model.
+     *
+     * m._primaryKeys holds the names of the primary key fields for this
+     *   model, in definition order. There may be several for a composite key.
+     *
+     * m._primaryKey holds the name of the primary key for this model, if it
+     *   has exactly one.
+     *
+     * m._name holds the name the model is registered by, which is also the
+     *   name of its table unless it gives a _table.
+     *
+     * m._definitions holds the definitions the model was defined with,
+     *   including any mixins, for extend().
      *
-     * m._hasDeletedBit is true if the model has a property called 'deleted'
-     *   which we use to tell if a record should be omitted from get/getOne
-     *   operations.
+     * m._connection holds the name of the connection the model uses.
+     *
+     * m._columns holds the name of the column of every field, by field name.
+     *
+     * m._timestamps holds the { createdAt, updatedAt, now } of timestamp
+     *   management, if the model stamps its records.
+     *
+     * m._softDelete holds the { column, strategy } of soft deletion, if the
+     *   model soft deletes. Deleted rows are omitted from get/getOne
+     *   operations unless options.withDeleted or options.onlyDeleted is set.
+     *
+     * m._discriminator holds the { field, value } of single-table
+     *   inheritance, if the model has a discriminator. m._supertype holds the
+     *   model a subtype extends, and m._subtypes holds every subtype below a
+     *   model, by discriminator value.
+     *
+     * m._versionField holds the name of the field marked `version: true`, if
+     *   any. Writes to an instance are made against the version it was loaded
+     *   with and increment it, so that concurrent writes to the same record
+     *   fail with a StaleRecordError instead of overwriting each other.
      */
+    m._table = table;
+    m._name = name;
+    m._definitions = source;
+    m._discriminator = discriminator || null;
+    m._supertype = null;
+    m._subtypes = {};
+    m._primaryKeys = [];
+    m._softDelete = softDelete || null;
+    m._timestamps = timestamps || null;
+    m._connection = connectionName;
+    m._columns = {};
+
     _.each(definitions, function(def, key) {
-      if (def.primaryId === true && !m._primaryKey) {
-        m._primaryKey = key;
-      } else if (def.primaryId === true && m._primaryKey) {
-        throw new Error('Cannot have multiple primary keys on model ' + table);
-      }
+      types.checkDefinition(def, key, table);
+      constraints.checkDefinition(def, key, table);
 
-      if (key === 'deleted') {
-        m._hasDeletedBit = true;
+      if (def.primaryId === true) {
+        m._primaryKeys.push(key);
       }
-    });
 
-    /**
-     * Static validation method. Returns true if the provided object can create
-     * a valid instance of the model.
-     */
-    m.isValid = function(obj) {
-      if (!obj) {
-        return false;
+      if (def.column) {
+        if (!check.unemptyString(def.column)) {
+          throw new TypeError('Column of field ' + key + ' on model ' + table +
+              ' must be a string');
+        }
+
+        m._columns[key] = def.column;
+      } else {
+        m._columns[key] = naming ? naming(key) : key;
       }
 
-      try {
-        // first get a clone so that we can safely apply transforms
-        var clone = _.clone(obj);
-
-        // apply transform for any definitions that have a transform() function
-        // @TODO make this a function
-        _.each(clone, function(val, key) {
-            if (_.has(definitions, key) &&
-                check.function(definitions[key].transform)) {
-            clone[key] = definitions[key].transform(val);
-          }
-        });
+      if (def.version === true) {
+        if (m._versionField) {
+          throw new TypeError('Model ' + table + ' can only have one ' +
+              'version field');
+        }
 
-        checkTypes(definitions, clone);
+        if (!_.contains(['integer', 'positive'], def.type) ||
+            def.primaryId || def.autoIncrement) {
+          throw new TypeError('Version field ' + key + ' on model ' + table +
+              ' must be an integer or positive field outside the primary key');
+        }
 
-        return true;
-      } catch(e) {
-        console.error(e.message);
+        m._versionField = key;
 
-        return false;
+        if (_.isUndefined(def.default)) {
+          // new records start at version 1
+          def.default = 1;
+        }
       }
-    };
+    });
+
+    if (m._primaryKeys.length === 1) {
+      m._primaryKey = m._primaryKeys[0];
+    }
 
     /**
-     * Static method to get this model's instance of knex.
+     * The name of the field stored in each column, by column name.
      */
-    m.getKnex = function() {
-      return knex;
-    };
+    var fieldsByColumn = _.invert(m._columns);
 
     /**
-     * Static raw method. Runs a raw SQL query through knex and returns the
-     * result.
+     * Get the name of the column a field is stored in. Names which are not
+     * fields are returned as they are.
      */
-    m.raw = function(query, bindings) {
-      query = query || {};
-      bindings = bindings || [];
-
-      var deferred = q.defer();
+    function columnOf(field) {
+      return _.has(m._columns, field) ? m._columns[field] : field;
+    }
 
-      knex.raw(query, bindings).then(function(data) {
-        // `data` is an array containing two arrays, the first of which
-        // contains the rows. this is an atrocious structure. let's protect
-        // our client from it
-        return deferred.resolve(data[0]);
-      })
-      .catch(function(err) {
-        return deferred.reject(err);
-      });
+    m._columnOf = columnOf;
 
-      return deferred.promise;
-    };
+    /**
+     * Rename the keys of an object with `rename`.
+     */
+    function renameKeys(obj, rename) {
+      return _.transform(obj, function(result, val, key) {
+        result[rename(key)] = val;
+      }, {});
+    }
 
     /**
-     * Static method to tell if the model contains a certain field.
+     * Get a copy of an object of field values keyed by column name instead,
+     * for writing to the database.
      */
-    m.hasField = function(key) {
-      return _.has(definitions, key);
-    };
+    function toColumns(values) {
+      return renameKeys(values, columnOf);
+    }
 
     /**
-     * Static get method. Gets rows based on an input query.
+     * Get a copy of an object of field values converted by their types and
+     * keyed by column name, for writing to the database.
+     */
+    function toRow(values) {
+      return toColumns(types.toDb(definitions, values));
+    }
+
+    /**
+     * Get a copy of a row from the database keyed by field name instead, with
+     * its values converted by their types. Columns which do not hold a field
+     * keep their names.
+     */
+    function fromColumns(row) {
+      return types.fromDb(definitions, renameKeys(row, function(column) {
+        return _.has(fieldsByColumn, column) ? fieldsByColumn[column] : column;
+      }));
+    }
+
+    /**
+     * Get an order of fields as an order of their columns, for the query.
+     */
+    function columnOrder(order) {
+      return _.map(order, function(entry) {
+        return { column: columnOf(entry.column), asc: entry.asc };
+      });
+    }
+
+    /**
+     * Build a partial instance holding only some of the fields, checking just
+     * those. The fields it holds are kept in a non-enumerable _fields
+     * property, so that updates check the same ones.
+     */
+    function partial(values, fields) {
+      var instance = Object.create(m.prototype);
+
+      values = applyTransforms(definitions, _.pick(values, fields));
+      checkTypes(_.pick(definitions, fields), values, table);
+      applyValues(instance, values);
+
+      Object.defineProperty(instance, '_fields', {
+        value: fields,
+        writable: true,
+        configurable: true,
+        enumerable: false
+      });
+
+      return instance;
+    }
+
+    /**
+     * Build an instance from a row loaded from the database, remembering its
+     * values for dirty tracking. Rows of a partial select pass the `fields`
+     * they hold, and build partial instances.
+     */
+    m._hydrate = function(row, fields) {
+      var subtype = m._discriminator &&
+          m._subtypes[row[columnOf(m._discriminator.field)]];
+
+      if (subtype) {
+        // rows of a subtype are instances of the subtype
+        return subtype._hydrate(row, fields);
+      }
+
+      return remember(definitions, fields ? partial(fromColumns(row), fields) :
+          new m(fromColumns(row)));
+    };
+
+    /**
+     * Get the fields to select for options.fields, which always include the
+     * primary key, the version and discriminator fields and the fields of any
+     * `order`, so that partial instances can be updated, paginated and
+     * hydrated as their type. Returns null to select every column, and throws
+     * if a field is not defined.
+     */
+    function selectedFields(options, order) {
+      if (!options.fields) {
+        return null;
+      }
+
+      var fields = check.array(options.fields) ? options.fields :
+          [options.fields];
+
+      _.each(fields, function(field) {
+        if (!m.hasField(field)) {
+          throw new Error('Cannot select unknown field ' + field +
+              ' of model ' + table);
+        }
+      });
+
+      return _.union(m._primaryKeys, _.compact([m._versionField,
+          m._discriminator && m._discriminator.field]),
+          _.pluck(order, 'column'), fields);
+    }
+
+    /**
+     * Get the columns of the selected fields, or every column if null.
+     */
+    function selectColumns(fields) {
+      return fields ? _.map(fields, columnOf) : '*';
+    }
+
+    /**
+     * Get the where clause which identifies an instance by its primary key
+     * fields. Throws if the model has no primary key.
+     */
+    function keyWhere(instance, action) {
+      if (!m._primaryKeys.length) {
+        throw new Error('Cannot ' + action + ' model ' + table +
+            ' without primary key definition');
+      }
+
+      return _.zipObject(m._primaryKeys, _.map(m._primaryKeys, function(key) {
+        return instance[key];
+      }));
+    }
+
+    /**
+     * Get the where clause for a write to an instance: its primary key, plus
+     * the version it was loaded with if the model has a version field. Throws
+     * if the model has no primary key.
+     */
+    function lockedWhere(instance, action) {
+      var whereClause = keyWhere(instance, action),
+        field = m._versionField;
+
+      if (field) {
+        var version = instance._original ? instance._original[field] :
+            instance[field];
+
+        if (!check.integer(version)) {
+          throw new Error('Cannot ' + action + ' model ' + table +
+              ' without a version');
+        }
+
+        whereClause[field] = version;
+      }
+
+      return whereClause;
+    }
+
+    /**
+     * Get the current date from the model's clock.
+     */
+    function now() {
+      return m._timestamps ? m._timestamps.now() : new Date();
+    }
+
+    /**
+     * Fill in the timestamps of values being written, leaving any which are
+     * already given. The created column is only filled if `created`.
+     */
+    function stamp(values, created) {
+      var columns = m._timestamps ? _.compact([
+        created && m._timestamps.createdAt,
+        m._timestamps.updatedAt
+      ]) : [];
+
+      if (columns.length) {
+        var date = now();
+
+        _.each(columns, function(column) {
+          if (_.isUndefined(values[column])) {
+            values[column] = date;
+          }
+        });
+      }
+
+      return values;
+    }
+
+    /**
+     * Fill in the values which every new record gets: its timestamps, its
+     * first version and its type.
+     */
+    function fillNew(values) {
+      var type = m._discriminator;
+
+      stamp(values, true);
+
+      if (m._versionField && _.isUndefined(values[m._versionField])) {
+        values[m._versionField] = 1;
+      }
+
+      if (type && type.value && _.isUndefined(values[type.field])) {
+        values[type.field] = type.value;
+      }
+
+      return values;
+    }
+
+    /**
+     * Get the value of the soft delete column for live rows, or for rows
+     * being deleted now if `deleted`. Boolean fields take booleans rather
+     * than 0 and 1.
+     */
+    function softDeleteValue(deleted) {
+      if (m._softDelete.strategy === 'timestamp') {
+        return deleted ? now() : null;
+      }
+
+      if (definitions[m._softDelete.column].type === 'boolean') {
+        return deleted;
+      }
+
+      return deleted ? 1 : 0;
+    }
+
+    m._softDeleteValue = softDeleteValue;
+
+    /**
+     * Restrict a query to live rows if the model soft deletes, unless the
+     * query already filters on the soft delete column. options.withDeleted
+     * includes deleted rows, and options.onlyDeleted selects only them.
+     */
+    function scopeDeleted(query, options) {
+      var column = m._softDelete && m._softDelete.column,
+        timestamp = column && m._softDelete.strategy === 'timestamp';
+
+      options = options || {};
+
+      if (!column || !_.isUndefined(query[column]) || options.withDeleted) {
+        return query;
+      }
+
+      if (options.onlyDeleted) {
+        query[column] = timestamp ? { $null: false } :
+            { $ne: softDeleteValue(false) };
+      } else {
+        query[column] = timestamp ? { $null: true } : softDeleteValue(false);
+      }
+
+      return query;
+    }
+
+    /**
+     * Write `values` to the row of an instance, against the version it was
+     * loaded with, and apply them to the instance once written. Resolves with
+     * the number of rows affected.
+     */
+    function writeLocked(instance, statement, whereClause, values) {
+      var written = _.clone(values);
+
+      if (m._versionField) {
+        values = _.clone(values);
+        values[m._versionField] = nextVersion();
+        written[m._versionField] = whereClause[m._versionField] + 1;
+      }
+
+      return statement.where(toColumns(whereClause)).update(toRow(values))
+      .then(function(affected) {
+        assertWritten(affected, whereClause);
+        applyValues(instance, written);
+
+        if (instance._original) {
+          applyValues(instance._original, written);
+        }
+
+        return affected;
+      });
+    }
+
+    /**
+     * Resolve if no other row holds the value of any field marked `unique` in
+     * `values`, and reject with a ValidationError listing those which are
+     * taken otherwise. The row of an instance being updated is excluded by
+     * `keys`, the where clause of its primary key.
+     */
+    function assertUnique(values, options, keys) {
+      var fields = _.filter(_.keys(values), function(key) {
+        return _.has(definitions, key) && definitions[key].unique &&
+            !_.isUndefined(values[key]) && !_.isNull(values[key]);
+      });
+
+      return q.all(_.map(fields, function(key) {
+        var statement = db(options)(table)
+        .where(columnOf(key), toRow(_.pick(values, key))[columnOf(key)]);
+
+        if (keys) {
+          // exclude the row as a whole, not every row sharing part of a
+          // composite key
+          statement.whereNot(function() {
+            this.where(toColumns(keys));
+          });
+        }
+
+        return statement.select(columnOf(key)).limit(1).then(function(rows) {
+          return rows.length ? {
+            field: key,
+            rule: 'unique',
+            expected: 'unique value',
+            actual: values[key],
+            message: 'Field ' + key + ' must be unique but ' + values[key] +
+                ' is taken'
+          } : null;
+        });
+      }))
+      .then(function(entries) {
+        entries = _.compact(entries);
+
+        if (entries.length) {
+          throw new ValidationError(table, entries);
+        }
+      });
+    }
+
+    /**
+     * Get a raw expression incrementing the version field of the model.
+     */
+    function nextVersion() {
+      return db().raw('?? + 1', [columnOf(m._versionField)]);
+    }
+
+    /**
+     * Throw a StaleRecordError if a versioned write matched no rows.
+     */
+    function assertWritten(affected, whereClause) {
+      if (m._versionField && affected === 0) {
+        throw new StaleRecordError(table, whereClause);
+      }
+
+      return affected;
+    }
+
+    /**
+     * Static validation method. Returns true if the provided object can create
+     * a valid instance of the model. Only the synchronous results of custom
+     * validate() functions are considered; use validate() for the rest.
+     */
+    m.isValid = function(obj) {
+      if (!obj) {
+        return false;
+      }
+
+      try {
+        // work on a clone with transforms applied, like the constructor does
+        return !collectErrors(definitions,
+            applyTransforms(definitions, obj), true).errors.length;
+      } catch (e) {
+        // a validate() function returned something unexpected
+        return false;
+      }
+    };
+
+    /**
+     * Static validation method which reports every problem instead of
+     * throwing. Waits for any custom validate() functions which return
+     * promises, and resolves with a report:
+     *
+     * {
+     *   valid: false,
+     *   errors: [{ field, rule, expected, actual, message }]
+     * }
+     */
+    m.validate = function(obj) {
+      var values = applyTransforms(definitions, obj || {});
+
+      return validateValues(definitions, values).then(function(errors) {
+        return {
+          valid: !errors.length,
+          errors: errors
+        };
+      });
+    };
+
+    /**
+     * Resolve if 'values' fit the definitions, including asynchronous custom
+     * validate() functions, and reject with a ValidationError otherwise. Pass
+     * `fields` to check against a subset of the definitions.
+     */
+    function assertValid(values, fields) {
+      return validateValues(fields || definitions, values)
+      .then(function(errors) {
+        if (errors.length) {
+          throw new ValidationError(table, errors);
+        }
+      });
+    }
+
+    /**
+     * Static method to get this model's instance of knex, which is that of the
+     * primary database of its connection.
+     */
+    m.getKnex = function() {
+      var connection = connections[m._connection];
+
+      return connection ? connection.primary : null;
+    };
+
+    /**
+     * Get the connection of this model. Throws if it has not been connected.
+     */
+    function connection() {
+      if (!_.has(connections, m._connection)) {
+        throw new Error('Need to run modeller.connect() before querying ' +
+            'model ' + table + (m._connection === 'default' ? '' :
+                ' on connection ' + m._connection));
+      }
+
+      return connections[m._connection];
+    }
+
+    /**
+     * Get the knex instance a call should run against. Every static and
+     * instance method accepts `options.transacting`, a knex transaction object
+     * which is used in place of this model's instance of knex.
+     */
+    function db(options) {
+      if (options && options.transacting) {
+        return options.transacting;
+      }
+
+      return connection().primary;
+    }
+
+    /**
+     * Get the knex instance a read should run against. Reads go to the read
+     * replicas of the connection in turn, if it has any, unless
+     * `options.primary` is true, which is useful to read back a write before
+     * it reaches the replicas.
+     */
+    function readDb(options) {
+      if (options && options.transacting) {
+        return options.transacting;
+      }
+
+      var conn = connection();
+
+      if ((options && options.primary) || !conn.replicas.length) {
+        return conn.primary;
+      }
+
+      conn.next = (conn.next + 1) % conn.replicas.length;
+
+      return conn.replicas[conn.next];
+    }
+
+    m._readDb = readDb;
+
+    /**
+     * Static raw method. Runs a raw SQL query through knex and resolves with
+     * the rows, whatever the dialect. `bindings` may be an array of
+     * positional bindings, or an object of named ones (see
+     * dialect.namedBindings()). With options.hydrate the rows are built into
+     * instances of the model, with afterFetch hooks run on each.
+     *
+     * ex.
+     * Movie.raw('select * from Movie where year > :year', { year: 1990 },
+     *     { hydrate: true });
+     */
+    m.raw = function(query, bindings, options) {
+      query = query || {};
+      bindings = bindings || [];
+      options = options || {};
+
+      if (_.isPlainObject(bindings)) {
+        var named = dialect.namedBindings(query, bindings);
+
+        query = named.sql;
+        bindings = named.bindings;
+      }
+
+      var knexDb = db(options),
+        deferred = q.defer();
+
+      knexDb.raw(query, bindings).then(function(data) {
+        // each driver shapes its results differently. let's protect our
+        // client from that
+        var rows = dialect.rawRows(dialect.dialectOf(knexDb), data);
+
+        if (!options.hydrate) {
+          return rows;
+        }
+
+        return fetched(_.map(rows, function(row) {
+          return m._hydrate(row);
+        }), options);
+      })
+      .then(function(result) {
+        return deferred.resolve(result);
+      })
+      .catch(function(err) {
+        return deferred.reject(err);
+      });
+
+      return deferred.promise;
+    };
+
+    /**
+     * Get the definitions keyed by column name, for the schema tools.
+     */
+    function columnDefinitions() {
+      return toColumns(definitions);
+    }
+
+    /**
+     * Static method to create this model's table from its definitions, using
+     * the column type mapping for the dialect of knex. See lib/schema.js.
+     */
+    m.createTable = function(options) {
+      return schema.createTable(db(options), table, columnDefinitions());
+    };
+
+    /**
+     * Static method to compare this model's definitions against its table in
+     * the live database. Resolves with the added, removed and changed columns.
+     */
+    m.diffSchema = function(options) {
+      return schema.diff(db(options), table, columnDefinitions());
+    };
+
+    /**
+     * Static method to generate a knex migration which brings the live table
+     * in line with this model's definitions. Resolves with the migration
+     * source, or with the path of the new file if options.directory is given.
+     */
+    m.migration = function(options) {
+      options = options || {};
+
+      return m.diffSchema(options).then(function(result) {
+        var source = schema.migration(result, columnDefinitions(),
+            db(options));
+
+        if (options.directory) {
+          return schema.writeMigration(options.directory,
+              options.name || table, source);
+        }
+
+        return source;
+      });
+    };
+
+    /**
+     * Static method to tell if the model contains a certain field.
+     */
+    m.hasField = function(key) {
+      return _.has(definitions, key);
+    };
+
+    /**
+     * Compile a query object into a function which applies it to a knex
+     * builder. Throws if the query names fields which are not defined on this
+     * model, or operators which do not exist.
+     *
+     * Queries support equality on plain values, the field operators $gt, $gte,
+     * $lt, $lte, $ne, $in, $nin, $like, $between and $null, and the groupings
+     * $or, $and and $not. See lib/query.js.
+     */
+    function where(query) {
+      return compileQuery(scopeType(query), m.hasField, table, columnOf);
+    }
+
+    /**
+     * Restrict a query on a subtype to the rows of its type and the types
+     * below it. Queries on a model which is not a subtype are left alone.
+     */
+    function scopeType(query) {
+      if (!m._supertype) {
+        return query;
+      }
+
+      var field = m._discriminator.field,
+        scope = _.zipObject([field], [{
+          $in: [m._discriminator.value].concat(_.keys(m._subtypes))
+        }]);
+
+      return _.has(query, field) ? { $and: [query, scope] } :
+          _.extend({}, query, scope);
+    }
+
+    /**
+     * Run afterFetch hooks on fetched instances of the model, including
+     * those eagerly loaded as the relations of other models. Resolves with
+     * the instances.
+     */
+    m._afterFetch = function(instances, options) {
+      return q.all(_.map(instances, function(instance) {
+        return runHooks(m._hooks, 'afterFetch', [instance, db(options)]);
+      }))
+      .then(function() {
+        return instances;
+      });
+    };
+
+    /**
+     * Run afterFetch hooks on instances fetched by get() or getOne(), then
+     * eagerly load any relations named in options.include.
+     */
+    function fetched(instances, options) {
+      return m._afterFetch(instances, options).then(function() {
+        if (options.include) {
+          return m.loadRelations(instances, options.include, options);
+        }
+
+        return instances;
+      });
+    }
+
+    /**
+     * Static method to eagerly load relations onto one or more instances of
+     * this model. `include` is a relation name or an array of them, using dots
+     * for nested relations (e.g. 'productionCompany.owner'). Each relation is
+     * loaded with a single query, no matter how many instances are given.
+     * Accepts options.transacting like the other static methods.
+     */
+    m.loadRelations = function(instances, include, options) {
+      return relations.loadRelations(m, instances, include, options);
+    };
+
+    /**
+     * Get the order for the orderBy and asc options of a query, checking that
+     * every column is a defined field. For keyset pagination the primary key
+     * is added as a tiebreaker. See lib/cursor.js.
+     */
+    function orderFor(options, keyset) {
+      var order = cursor.normalizeOrder(options.orderBy, options.asc,
+          keyset && m._primaryKeys);
+
+      _.each(order, function(entry) {
+        if (!m.hasField(entry.column)) {
+          throw new Error('Cannot order model ' + table + ' by unknown field ' +
+              entry.column);
+        }
+      });
+
+      if (keyset && !order.length) {
+        throw new Error('Keyset pagination on model ' + table + ' requires ' +
+            'an orderBy option or a primary key');
+      }
+
+      return order;
+    }
+
+    /**
+     * Call options.modify, if given, with the knex builder of a query before
+     * it runs.
+     */
+    function modified(statement, options) {
+      if (options && check.function(options.modify)) {
+        options.modify(statement);
+      }
+
+      return statement;
+    }
+
+    /**
+     * Static get method. Gets rows based on an input query, which may use the
+     * operators described on where() above.
+     *
+     * Results are paginated with options.limit and options.offset, and ordered
+     * by options.orderBy (a column, an object like { column, asc }, or an
+     * array of them) in the direction of options.asc. Pass a cursor from
+     * paginate() as options.after or options.before to page by keyset
+     * instead of offset.
+     *
+     * options.include names relations to eagerly load onto the results, and
+     * options.transacting runs the query inside a transaction. options.modify
+     * is called with the knex builder before the query runs.
+     *
+     * options.fields selects only the given fields, building partial
+     * instances which are checked against just the fields they hold. They
+     * can be updated, and reload() fills in the rest.
      */
     if (overrides.get) {
       // if the user has provided an override
       m.get = overrides.get;
     } else {
-      // use the default method
-      m.get = function(query, options) {
+      // use the default method
+      m.get = function(query, options) {
+        if ((query && !check.object(query)) ||
+            (options && !check.object(options))) {
+          // both arguments must be an objects if they are provided
+          throw new TypeError('Arguments to get() must be of type object');
+        }
+
+        query = query || {};
+
+        // options for pagination
+        options = options || {};
+
+        var defaults = {
+          // the max number of records to return
+          // @TODO this should be a config option
+          limit: 100,
+
+          // the index from which we should start returning records
+          offset: 0
+        };
+
+        if (m._primaryKeys.length) {
+          // if the model has a primary key, then its fields will be the default
+          // order of the results
+          defaults.orderBy = m._primaryKeys;
+
+          // true for ascending order, false for descending order
+          defaults.asc = true;
+        }
+
+        options = _.defaults(options, defaults);
+
+        if (options.after && options.before) {
+          throw new TypeError('get() accepts only one of after and before');
+        }
+
+        var keyset = options.after || options.before,
+          order = orderFor(options, keyset),
+          fields = selectedFields(options, order);
+
+        scopeDeleted(query, options);
+
+        var statement = where(query)(readDb(options)(table))
+        .limit(options.limit);
+
+        if (keyset) {
+          // keyset pagination replaces the offset
+          cursor.applyKeyset(statement, columnOrder(order),
+              cursor.decode(order, keyset), !!options.after);
+        } else {
+          statement.offset(options.offset);
+        }
+
+        // pages before a cursor are found by walking the order backwards
+        cursor.applyOrder(statement, columnOrder(order), !!options.before);
+
+        return modified(statement, options).select(selectColumns(fields))
+        .then(function(rows) {
+          if (options.before) {
+            rows.reverse();
+          }
+
+          return fetched(rows.map(function(row) {
+            return m._hydrate(row, fields);
+          }), options);
+        });
+      };
+    }
+
+    /**
+     * Convert the value of an aggregate function over a field: counts, sums
+     * and averages are numbers, and minimums and maximums take the type of
+     * the field.
+     */
+    function aggregateValue(fn, field, value) {
+      if (_.isNull(value) || _.isUndefined(value)) {
+        return fn === 'count' ? 0 : null;
+      }
+
+      if (fn === 'min' || fn === 'max') {
+        return types.fromDb(definitions, _.zipObject([field], [value]))[field];
+      }
+
+      return Number(value);
+    }
+
+    /**
+     * Run the aggregate function `fn` over a field (or over every row, for
+     * count) of the rows which satisfy a query, leaving out rows flagged as
+     * deleted like get() does. Resolves with the value, or, given
+     * options.groupBy fields, with an array holding the fields of each group
+     * and its value under the name of the function, ordered by group.
+     *
+     * ex.
+     * aggregate('count', null, {}, { groupBy: 'year' })
+     * // => [{ year: 1979, count: 2 }, { year: 1986, count: 1 }]
+     */
+    function aggregate(fn, field, query, options) {
+      options = options || {};
+
+      var groups = _.compact(check.array(options.groupBy) ? options.groupBy :
+          [options.groupBy]);
+
+      _.each(_.compact([field]).concat(groups), function(key) {
+        if (!m.hasField(key)) {
+          throw new Error('Cannot aggregate model ' + table + ' by unknown ' +
+              'field ' + key);
+        }
+      });
+
+      var columns = _.map(groups, columnOf),
+        statement = where(scopeDeleted(query || {}, options))(
+            readDb(options)(table));
+
+      if (columns.length) {
+        statement.select(columns).groupBy(columns);
+        cursor.applyOrder(statement, cursor.normalizeOrder(columns));
+      }
+
+      return modified(statement, options)[fn](
+          (field ? columnOf(field) : '*') + ' as ' + fn)
+      .then(function(rows) {
+        var results = _.map(rows, function(row) {
+          var result = fromColumns(_.pick(row, columns));
+
+          result[fn] = aggregateValue(fn, field, row[fn]);
+
+          return result;
+        });
+
+        if (columns.length) {
+          return results;
+        }
+
+        return results.length ? results[0][fn] : aggregateValue(fn, field);
+      });
+    }
+
+    /**
+     * Static count method. Resolves with the number of rows which satisfy a
+     * query, leaving out rows flagged as deleted like get() does. Counts each
+     * group of options.groupBy fields instead if given, resolving with an
+     * array of objects like { year: 1979, count: 2 }.
+     */
+    if (overrides.count) {
+      // the user has provided a custom count method
+      m.count = overrides.count;
+    } else {
+      // use the default count method
+      m.count = function(query, options) {
         if ((query && !check.object(query)) ||
             (options && !check.object(options))) {
-          // both arguments must be an objects if they are provided
-          throw new TypeError('Arguments to get() must be of type object');
+          throw new TypeError('Arguments to count() must be of type object');
+        }
+
+        return aggregate('count', null, query, options);
+      };
+    }
+
+    /**
+     * Static aggregate methods sum(), avg(), min() and max(). Each takes a
+     * field, then a query and options like count(), including
+     * options.groupBy, and resolves with the value of the aggregate function
+     * over that field. Sums and averages are null when no rows match.
+     *
+     * ex.
+     * Movie.max('year', { productionCompanyId: 3 });
+     * Movie.avg('budget', {}, { groupBy: 'year' });
+     */
+    _.each(['sum', 'avg', 'min', 'max'], function(fn) {
+      m[fn] = function(field, query, options) {
+        if (!check.unemptyString(field) || (query && !check.object(query)) ||
+            (options && !check.object(options))) {
+          throw new TypeError(fn + '() requires a field name, then an ' +
+              'optional query and options');
+        }
+
+        return aggregate(fn, field, query, options);
+      };
+    });
+
+    /**
+     * Static method to start a chainable query on the model. See
+     * lib/builder.js.
+     *
+     * ex.
+     * Movie.query().scope('ownedBy', userId).orderBy('year', 'desc').first();
+     */
+    m.query = function() {
+      return new QueryBuilder(m);
+    };
+
+    /**
+     * Static method to start a chainable query grouped by some fields, for
+     * its aggregates.
+     *
+     * ex.
+     * Movie.groupBy('year').where({ productionCompanyId: 3 }).count();
+     */
+    m.groupBy = function() {
+      var builder = m.query();
+
+      return builder.groupBy.apply(builder, arguments);
+    };
+
+    /**
+     * Static method to start a chainable query with a scope. Takes the same
+     * arguments as scope() on the query.
+     */
+    m.scope = function() {
+      var builder = m.query();
+
+      return builder.scope.apply(builder, arguments);
+    };
+
+    /**
+     * Static paginate method. Gets one page of rows by keyset, taking the same
+     * options as get() except offset. Resolves with:
+     *
+     * {
+     *   items: [...],        // instances of the model
+     *   nextCursor: '...',   // pass as options.after for the next page
+     *   prevCursor: '...',   // pass as options.before for the previous page
+     *   total: 1234          // only if options.total is true
+     * }
+     *
+     * Cursors are null when there is no page in that direction.
+     */
+    if (overrides.paginate) {
+      // the user has provided a custom paginate method
+      m.paginate = overrides.paginate;
+    } else {
+      // use the default paginate method
+      m.paginate = function(query, options) {
+        if ((query && !check.object(query)) ||
+            (options && !check.object(options))) {
+          throw new TypeError('Arguments to paginate() must be of type object');
+        }
+
+        query = query || {};
+        options = _.defaults(_.omit(options || {}, 'offset'), {
+          limit: 100,
+          orderBy: m._primaryKeys,
+          asc: true
+        });
+
+        var order = orderFor(options, true),
+          limit = options.limit;
+
+        var page = m.get(_.clone(query), _.extend({}, options, {
+          limit: limit + 1
+        })),
+          total = options.total ? m.count(_.clone(query), options) : null;
+
+        return q.all([page, total]).spread(function(items, count) {
+          var hasMore = items.length > limit;
+
+          if (hasMore) {
+            // one row past the page was fetched to tell if there are more;
+            // it is first when walking backwards from a cursor
+            items = options.before ? items.slice(1) : items.slice(0, limit);
+          }
+
+          // walking forwards, there is a next page if a row past this page
+          // was found; walking backwards, there is one after the cursor
+          var hasNext = options.before ? true : hasMore,
+            hasPrev = options.before ? hasMore : !!options.after;
+
+          var result = {
+            items: items,
+            nextCursor: items.length && hasNext ?
+                cursor.encode(order, _.last(items)) : null,
+            prevCursor: items.length && hasPrev ?
+                cursor.encode(order, items[0]) : null
+          };
+
+          if (options.total) {
+            result.total = count;
+          }
+
+          return result;
+        });
+      };
+    }
+
+    /**
+     * Static stream method. Returns a readable object stream of instances for
+     * every row which satisfies a query, read from the database through
+     * knex's stream() rather than loaded all at once. Takes the orderBy, asc,
+     * limit and transacting options of get(). Rows flagged as deleted are left
+     * out, and afterFetch hooks run on each instance; relations are not
+     * loaded.
+     *
+     * ex.
+     * Movie.stream({ year: { $lt: 2000 } }).pipe(toCsv).pipe(file);
+     */
+    if (overrides.stream) {
+      // the user has provided a custom stream method
+      m.stream = overrides.stream;
+    } else {
+      // use the default stream method
+      m.stream = function(query, options) {
+        if ((query && !check.object(query)) ||
+            (options && !check.object(options))) {
+          throw new TypeError('Arguments to stream() must be of type object');
+        }
+
+        query = query || {};
+        options = _.defaults(options || {}, {
+          orderBy: m._primaryKeys,
+          asc: true
+        });
+
+        var order = orderFor(options, false);
+
+        scopeDeleted(query, options);
+
+        var statement = where(query)(readDb(options)(table));
+
+        if (options.limit) {
+          statement.limit(options.limit);
+        }
+
+        cursor.applyOrder(statement, columnOrder(order));
+
+        var rows = statement.stream(),
+          instances = new stream.Transform({ objectMode: true });
+
+        instances._transform = function(row, encoding, done) {
+          var instance;
+
+          try {
+            instance = m._hydrate(row);
+          } catch (e) {
+            return done(e);
+          }
+
+          runHooks(m._hooks, 'afterFetch', [instance, db(options)])
+          .then(function() {
+            done(null, instance);
+          }, done);
+        };
+
+        // pass errors from the database along to the consumer
+        rows.on('error', function(err) {
+          instances.emit('error', err);
+        });
+
+        return rows.pipe(instances);
+      };
+    }
+
+    /**
+     * Static iterate method. Same as stream(), but returns an async iterator
+     * over the instances, for use with `for await`:
+     *
+     * for await (var movie of Movie.iterate({ year: 1999 })) { ... }
+     */
+    m.iterate = function(query, options) {
+      return m.stream(query, options)[Symbol.asyncIterator]();
+    };
+
+    /**
+     * Static getOne method. Same as above, but returns an instance of the model
+     * instead of an array of values. Also accepts options.include and
+     * options.fields. The query may also be an array of primary key values, in
+     * definition order.
+     */
+    if (overrides.getOne) {
+      // the user has provided a custom getOne method
+      m.getOne = overrides.getOne;
+    } else {
+      // use the default getOne method
+      m.getOne = function(query, options) {
+        if ((query && !check.object(query) && !check.array(query)) ||
+            (options && !check.object(options))) {
+          // only accept objects as a query and options
+          throw new TypeError('Arguments to getOne() must be of type object');
+        }
+
+        if (check.array(query)) {
+          // a tuple of primary key values, in definition order
+          if (!m._primaryKeys.length ||
+              query.length !== m._primaryKeys.length) {
+            throw new TypeError('getOne() on model ' + table + ' requires ' +
+                m._primaryKeys.length + ' primary key values');
+          }
+
+          query = _.zipObject(m._primaryKeys, query);
+        }
+
+        query = query || {};
+        options = options || {};
+
+        var fields = selectedFields(options, []);
+
+        // default to only getting non-deleted objects
+        scopeDeleted(query, options);
+
+        return where(query)(readDb(options)(table))
+        .select(selectColumns(fields))
+        .then(function(rows) {
+          if (!rows.length) {
+            return null;
+          }
+
+          return fetched([m._hydrate(rows[0], fields)], options)
+          .then(function(instances) {
+            return instances[0];
+          });
+        });
+      };
+    }
+
+    /**
+     * Static deleteWhere method. Deletes objects which satisfy a given query.
+     * If this model soft deletes, this will flag them as deleted, which
+     * will prevent them from being returned by get() or getOne().
+     * Otherwise it will just delete them.
+     */
+    if (overrides.deleteWhere) {
+      // the user has provided a custom deleteWhere method
+      m.deleteWhere = overrides.deleteWhere;
+    } else {
+      // use the default deleteWhere method
+      m.deleteWhere = function(query, options) {
+        if (!check.object(query) || (options && !check.object(options))) {
+          throw new TypeError('deleteWhere() requires an argument of type ' +
+              'object');
+        }
+
+        query = query || {};
+
+        if (m._softDelete) {
+          // don't delete deleted things
+          delete query[m._softDelete.column];
+          scopeDeleted(query);
+        }
+
+        // validate the query before running any hooks
+        where(query);
+
+        return runHooks(m._hooks, 'beforeDeleteWhere', [query, db(options)])
+        .then(function() {
+          // compile again, in case a hook has changed the query
+          var statement = where(query)(db(options)(table));
+
+          if (m._softDelete) {
+            // flag records that satisfy the query as deleted
+            var values = {};
+
+            values[m._softDelete.column] = softDeleteValue(true);
+
+            if (m._versionField) {
+              values[m._versionField] = nextVersion();
+            }
+
+            return statement.update(toRow(values));
+          } else {
+            // delete records that satisfy the query
+            return statement.delete().then();
+          }
+        })
+        .then(function(result) {
+          return runHooks(m._hooks, 'afterDeleteWhere', [query, db(options)])
+          .then(function() {
+            return result;
+          });
+        });
+      };
+    }
+
+    /**
+     * Static restoreWhere method. Restores the soft deleted rows which satisfy
+     * a given query, resolving with the number of rows restored.
+     */
+    if (overrides.restoreWhere) {
+      // the user has provided a custom restoreWhere method
+      m.restoreWhere = overrides.restoreWhere;
+    } else {
+      // use the default restoreWhere method
+      m.restoreWhere = function(query, options) {
+        if (!check.object(query) || (options && !check.object(options))) {
+          throw new TypeError('restoreWhere() requires an argument of type ' +
+              'object');
+        }
+
+        if (!m._softDelete) {
+          throw new Error('Cannot restore model ' + table + ' without soft ' +
+              'delete');
+        }
+
+        var values = {};
+
+        values[m._softDelete.column] = softDeleteValue(false);
+
+        if (m._versionField) {
+          values[m._versionField] = nextVersion();
+        }
+
+        var statement = where(scopeDeleted(query, { onlyDeleted: true }));
+
+        return statement(db(options)(table)).update(toRow(values)).then();
+      };
+    }
+
+    /**
+     * Build an instance from each set of values, collecting the validation
+     * errors of every row into one ValidationError whose entries carry the
+     * index of their `row`.
+     */
+    function buildAll(rows) {
+      var errors = [];
+
+      var instances = _.map(rows, function(row, index) {
+        try {
+          return new m(row);
+        } catch (e) {
+          if (!(e instanceof ValidationError)) {
+            throw e;
+          }
+
+          _.each(e.errors, function(entry) {
+            errors.push(_.extend({ row: index }, entry));
+          });
+        }
+      });
+
+      if (errors.length) {
+        throw new ValidationError(table, errors);
+      }
+
+      return instances;
+    }
+
+    /**
+     * Resolve if every set of values passes the custom validate() functions
+     * of its fields, and reject with a ValidationError whose entries carry
+     * the index of their `row` otherwise.
+     */
+    function assertAllValid(rows) {
+      return q.all(_.map(rows, function(values, index) {
+        return validateValues(definitions, values).then(function(entries) {
+          return _.map(entries, function(entry) {
+            return _.extend({ row: index }, entry);
+          });
+        });
+      }))
+      .then(function(entries) {
+        entries = _.flatten(entries);
+
+        if (entries.length) {
+          throw new ValidationError(table, entries);
         }
+      });
+    }
+
+    /**
+     * Get the values of an instance which belong in an INSERT statement: its
+     * defined fields, without any auto-increment keys.
+     */
+    function insertable(instance) {
+      return fillNew(_.pick(instance, function(val, key) {
+        return definitions.hasOwnProperty(key) &&
+            !definitions[key].autoIncrement;
+      }));
+    }
 
-        query = query || {};
+    /**
+     * Get the default number of rows per batch of insertMany(). sqlite
+     * compiles a multi-row insert into a compound select of at most 500
+     * terms, with at most 999 bound variables.
+     */
+    function defaultChunkSize(dialectName, values) {
+      if (dialectName !== 'sqlite3') {
+        return 1000;
+      }
 
-        // options for pagination
-        options = options || {};
+      var columns = _.union.apply(_, _.map(values, _.keys)).length;
 
-        var defaults = {
-          // the max number of records to return
-          // @TODO this should be a config option
-          limit: 100,
+      return Math.max(1, Math.min(500, Math.floor(999 / (columns || 1))));
+    }
 
-          // the index from which we should start returning records
-          offset: 0
-        };
+    /**
+     * Get the fields by which the rows of insertMany() are fetched back: the
+     * primary key, unless an auto-increment key leaves its values unknown.
+     * Only Postgres reports the id of every row of a multi-row insert, so
+     * elsewhere the rows are found by a unique field set in every row.
+     * Throws if there is none.
+     */
+    function lookupKeys(values, generated, dialectName) {
+      if (!generated || dialectName === 'postgresql') {
+        return m._primaryKeys;
+      }
 
-        if (m._primaryKey) {
-          // if the model has a primary key, then that will be the default field
-          // to order the results by
-          defaults.orderBy = m._primaryKey;
+      var unique = _.find(_.keys(definitions), function(key) {
+        return definitions[key].unique && _.every(values, function(row) {
+          return !_.isUndefined(row[key]) && !_.isNull(row[key]);
+        });
+      });
 
-          // true for ascending order, false for descending order
-          defaults.asc = true;
-        }
+      if (!unique) {
+        throw new Error('insertMany() can only return the rows of model ' +
+            table + ' on ' + dialectName + ' by a unique field set in ' +
+            'every row, since its auto-increment ids are not reported');
+      }
 
-        options = _.defaults(options, defaults);
+      return [unique];
+    }
 
-        if (m._hasDeletedBit && query.deleted === undefined) {
-          query.deleted = 0;
+    /**
+     * Static insertMany method. Validates every set of values through the
+     * model constructor and any custom validate() functions of its fields,
+     * then inserts them in batches of options.chunkSize
+     * rows (default 1000, or as many as sqlite allows for the columns).
+     * Resolves with the number of rows inserted, or with the inserted
+     * instances if options.returning is true.
+     *
+     * Rows with an auto-increment key are returned on Postgres by the ids it
+     * reports. MySQL and sqlite report only one id per insert, so there the
+     * rows are fetched back by a field marked `unique` which every row sets,
+     * and options.returning throws if there is no such field.
+     *
+     * Lifecycle hooks are not run for bulk inserts, and the batches are not
+     * wrapped in a transaction unless options.transacting is given.
+     */
+    if (overrides.insertMany) {
+      // the user has provided a custom insertMany method
+      m.insertMany = overrides.insertMany;
+    } else {
+      // use the default insertMany method
+      m.insertMany = function(rows, options) {
+        if (!check.array(rows) || (options && !check.object(options))) {
+          throw new TypeError('insertMany() requires an array of values and ' +
+              'an optional options object');
         }
 
-        var statement = knex(table)
-        .where(query)
-        .limit(options.limit)
-        .offset(options.offset);
+        options = _.defaults(options || {}, { returning: false });
 
-        if (options.orderBy) {
-          statement.orderBy(options.orderBy, options.asc? 'asc' : 'desc');
+        if (!_.isUndefined(options.chunkSize) &&
+            !check.positive(options.chunkSize)) {
+          throw new TypeError('insertMany() chunkSize must be positive');
         }
 
-        return statement.select()
-        .then(function(rows) {
-          return rows.map(function(row) {
-            return new m(row);
+        var values = _.map(buildAll(rows), insertable),
+          generated = _.find(m._primaryKeys, function(key) {
+            return definitions[key].autoIncrement;
+          }),
+          knexDb = db(options),
+          dialectName = dialect.dialectOf(knexDb),
+          chunkSize = options.chunkSize ||
+              defaultChunkSize(dialectName, values),
+          keys = options.returning ?
+              lookupKeys(values, generated, dialectName) : [],
+          reportIds = options.returning && generated &&
+              dialectName === 'postgresql';
+
+        // collect the ids Postgres reports for the auto-increment key, if
+        // the inserted rows are fetched back by it
+        var inserted = _.reduce(_.chunk(values, chunkSize),
+            function(promise, chunk) {
+          return promise.then(function(ids) {
+            var statement = knexDb(table).insert(_.map(chunk, toRow));
+
+            if (!reportIds) {
+              return statement.then(function() {
+                return ids;
+              });
+            }
+
+            return statement.returning(columnOf(generated))
+            .then(function(result) {
+              return ids.concat(result);
+            });
+          });
+        }, assertAllValid(values).then(function() {
+          return [];
+        }));
+
+        return inserted.then(function(ids) {
+          if (!options.returning) {
+            return values.length;
+          }
+
+          if (!keys.length) {
+            return _.map(values, function(row) {
+              return remember(definitions, new m(row));
+            });
+          }
+
+          var keyValues = _.map(values, function(row, i) {
+            return _.zipObject(keys, _.map(keys, function(key) {
+              return key === generated ? ids[i] : row[key];
+            }));
+          });
+
+          // fetch the inserted rows back, so that defaults applied by the
+          // database are included
+          return q.all(_.map(_.chunk(keyValues, chunkSize),
+              function(chunk) {
+            var statement = knexDb(table);
+
+            if (keys.length === 1) {
+              statement.whereIn(columnOf(keys[0]), _.pluck(chunk, keys[0]));
+            } else {
+              statement.where(function() {
+                var inner = this;
+
+                _.each(chunk, function(key) {
+                  inner.orWhere(toColumns(key));
+                });
+              });
+            }
+
+            return cursor.applyOrder(statement,
+                columnOrder(cursor.normalizeOrder(m._primaryKeys)))
+            .select();
+          }))
+          .then(function(results) {
+            return _.map(_.flatten(results), function(row) {
+              return m._hydrate(row);
+            });
           });
         });
       };
     }
 
     /**
-     * Static getOne method. Same as above, but returns an instance of the model
-     * instead of an array of values.
+     * Static upsert method. Inserts one or more sets of values, updating the
+     * existing row instead wherever one conflicts on options.conflictKeys
+     * (default: the primary key). options.update lists the columns to update
+     * on conflict, defaulting to every inserted column but the conflict keys.
+     * Uses ON DUPLICATE KEY UPDATE on MySQL, and ON CONFLICT on Postgres and
+     * sqlite. The version field, if any, is incremented on conflict rather
+     * than overwritten, and the created timestamp is kept. Resolves with the
+     * instances built from the values.
      */
-    if (overrides.getOne) {
-      // the user has provided a custom getOne method
-      m.getOne = overrides.getOne;
+    if (overrides.upsert) {
+      // the user has provided a custom upsert method
+      m.upsert = overrides.upsert;
     } else {
-      // use the default getOne method
-      m.getOne = function(query) {
-        if (query && !check.object(query)) {
-          // only accept an object as a query
-          throw new TypeError('Argument to getOne() must be of type object');
+      // use the default upsert method
+      m.upsert = function(values, options) {
+        if ((!check.object(values) && !check.array(values)) ||
+            (options && !check.object(options))) {
+          throw new TypeError('upsert() requires an object or an array of ' +
+              'values and an optional options object');
         }
 
-        query = query || {};
+        options = options || {};
 
-        if (m._hasDeletedBit && _.isUndefined(query.deleted)) {
-          // default to only getting non-deleted objects
-          query.deleted = 0;
+        if (check.array(values) && !values.length) {
+          return q([]);
         }
 
-        return knex(table).where(query).select().then(function(rows) {
-          if (rows.length) {
-            return new m(rows[0]);
-          } else {
-            return null;
-          }
+        var conflictKeys = options.conflictKeys || m._primaryKeys;
+
+        if (!check.array(conflictKeys) || !conflictKeys.length ||
+            !_.every(conflictKeys, m.hasField)) {
+          throw new TypeError('upsert() on model ' + table + ' requires ' +
+              'conflictKeys naming defined fields');
+        }
+
+        var instances = buildAll(check.array(values) ? values : [values]),
+          rows = _.map(instances, function(instance) {
+            return fillNew(_.pick(instance, function(val, key) {
+              return definitions.hasOwnProperty(key);
+            }));
+          }),
+          columns = _.without(options.update ||
+              _.difference(_.union.apply(_, _.map(rows, _.keys)), conflictKeys),
+              m._versionField, m._timestamps && m._timestamps.createdAt),
+          knexDb = db(options),
+          insert = knexDb(table).insert(_.map(rows, toRow)).toSQL(),
+          clause = dialect.upsertClause(dialect.dialectOf(knexDb),
+              function(column) {
+                return knexDb.client.wrapIdentifier(column);
+              }, table, _.map(conflictKeys, columnOf), _.map(columns, columnOf),
+              m._versionField && columnOf(m._versionField));
+
+        return assertAllValid(rows).then(function() {
+          return knexDb.raw(insert.sql + clause, insert.bindings);
+        })
+        .then(function() {
+          return check.array(values) ? instances : instances[0];
         });
       };
     }
 
     /**
-     * Static deleteWhere method. Deletes objects which satisfy a given query.
-     * If this model has a 'deleted' bit, this will flip that bit to 1, which
-     * will prevent them from being returned by get() or getOne().
-     * Otherwise it will just delete them.
+     * Static updateWhere method. Applies a partial set of values to every row
+     * which satisfies a query, after type checking just the given fields.
+     * Rows flagged as deleted are left alone unless the query says otherwise.
+     * Resolves with the number of rows updated.
      */
-    if (overrides.deleteWhere) {
-      // the user has provided a custom deleteWhere method
-      m.deleteWhere = overrides.deleteWhere;
+    if (overrides.updateWhere) {
+      // the user has provided a custom updateWhere method
+      m.updateWhere = overrides.updateWhere;
     } else {
-      // use the default deleteWhere method
-      m.deleteWhere = function(query) {
-        if (!check.object(query)) {
-          throw new TypeError('deleteWhere() requires an argument of type ' +
-              'object');
+      // use the default updateWhere method
+      m.updateWhere = function(query, values, options) {
+        if (!check.object(query) || !check.object(values) ||
+            (options && !check.object(options))) {
+          throw new TypeError('updateWhere() requires a query object and an ' +
+              'object of values');
         }
 
-        query = query || {};
+        _.each(values, function(val, key) {
+          if (!m.hasField(key)) {
+            throw new Error('Unknown field ' + key + ' in update on model ' +
+                table);
+          }
+        });
 
-        if (m._hasDeletedBit) {
-          // don't delete deleted things
-          query.deleted = 0;
+        var fields = _.pick(definitions, _.keys(values));
 
-          // set deleted to 1 on records that satisfy the query
-          return knex(table).where(query).update({
-            deleted: 1
-          });
-        } else {
-          // delete records that satisfy the query
-          return knex(table).where(query).delete().then();
-        }
+        values = applyTransforms(definitions, values);
+
+        // check types on just the fields being updated
+        checkTypes(fields, values, table);
+
+        scopeDeleted(query, options);
+
+        var statement = where(query);
+
+        return assertValid(values, fields).then(function() {
+          stamp(values, false);
+
+          if (m._versionField) {
+            // bulk updates also invalidate any loaded copies of the rows
+            values[m._versionField] = nextVersion();
+          }
+
+          return statement(db(options)(table)).update(toRow(values));
+        });
       };
     }
 
@@ -413,7 +2385,7 @@ function createModelClass(knex) {
       // the user has provided a custom insert method
       m.prototype.insert = overrides.insert;
     } else {
-      m.prototype.insert = function() {
+      m.prototype.insert = function(options) {
         var self = this;
 
         // delete auto-increment keys before performing insert
@@ -423,105 +2395,556 @@ function createModelClass(knex) {
           }
         });
 
-        if (m._primaryKey) {
-          // if a primary key was provided, return the inserted object instead
-          // of the insertId.
-          return knex(table).insert(self)
-          .then(function(result) {
-            var insertId = result[0],
-              query = {};
+        return runHooks(m._hooks, 'beforeInsert', [self, db(options)])
+        .then(function() {
+          // only insert defined fields, leaving out any loaded relations
+          var values = _.pick(self, function(val, key) {
+            return definitions.hasOwnProperty(key);
+          });
 
-            query[m._primaryKey] = insertId;
+          fillNew(values);
 
-            return m.getOne(query);
+          return assertValid(values).then(function() {
+            return assertUnique(values, options);
+          })
+          .then(function() {
+            return values;
           });
-        } else {
-          // otherwise, just return the insertId.
-          return knex(table).insert(self);
-        }
+        })
+        .then(function(values) {
+          if (m._primaryKeys.length) {
+            // if a primary key was provided, return the inserted object
+            // instead of the insertId.
+            return db(options)(table).insert(toRow(values))
+            .then(function(result) {
+              var insertId = result[0];
+
+              // find the row by its key, taking the generated id for any
+              // auto-increment key field
+              var query = _.zipObject(m._primaryKeys,
+                  _.map(m._primaryKeys, function(key) {
+                    return definitions[key].autoIncrement ?
+                        insertId : values[key];
+                  }));
+
+              // read from the primary, which replicas may lag behind
+              return m.getOne(query, _.extend(_.pick(options, 'transacting'), {
+                primary: true
+              }));
+            });
+          } else {
+            // otherwise, just return the insertId.
+            return db(options)(table).insert(toRow(values));
+          }
+        })
+        .then(function(inserted) {
+          return runHooks(m._hooks, 'afterInsert', [inserted, db(options)])
+          .then(function() {
+            return inserted;
+          });
+        });
       };
     }
 
     /**
      * Generic update method. Takes in new properties, applies them to the
-     * instance, and updates it in the table.
+     * instance, and updates it in the table. Instances loaded from the database
+     * only write the fields which have changed.
      */
     if (overrides.update) {
       // the user has provided a custom update function
       m.prototype.update = overrides.update;
     } else {
       // use the default update function
-      m.prototype.update = function(updateWith) {
+      m.prototype.update = function(updateWith, options) {
         var self = this;
 
-        updateWith = _.extend(_.clone(this), updateWith);
+        var merged = _.extend(_.clone(this), updateWith);
+
+        // a partial instance only checks the fields it holds or is given
+        var fields = this._fields && _.intersection(_.keys(definitions),
+            _.union(this._fields, _.keys(updateWith)));
 
         // first check types on the new values
-        checkTypes(definitions, updateWith);
+        checkTypes(fields ? _.pick(definitions, fields) : definitions, merged,
+            table);
 
-        // need to do some funky magic to get the right key/value pair for this
-        // instance's primary id
-        var whereClause = {};
-        whereClause[m._primaryKey] = this[m._primaryKey];
+        // identify this instance by its primary key
+        var whereClause;
+
+        try {
+          whereClause = lockedWhere(this, 'update');
+        } catch (e) {
+          return q.reject(e);
+        }
 
         // strip out anything in the provided values that is not a defined part of
         // the model
-        updateWith = _.pick(updateWith, function(val, key) {
+        merged = _.pick(merged, function(val, key) {
           return definitions.hasOwnProperty(key);
         });
 
-        return knex(table).where(whereClause).update(updateWith)
+        // a persisted instance only writes the fields which differ from the
+        // values it was loaded with, leaving other columns untouched
+        var changes = _.pick(merged, changedFields(definitions,
+            _.extend(Object.create(self), merged)));
+
+        if (m._versionField) {
+          // the version is only ever incremented by the database
+          delete changes[m._versionField];
+          merged[m._versionField] = whereClause[m._versionField];
+        }
+
+        return runHooks(m._hooks, 'beforeUpdate',
+            [self, changes, db(options)])
+        .then(function() {
+          _.extend(merged, changes);
+
+          // validate again, in case a hook has changed the values, and wait
+          // for any asynchronous validate() functions
+          return assertValid(merged, fields && _.pick(definitions, fields));
+        })
+        .then(function() {
+          return assertUnique(changes, options, keyWhere(self, 'update'));
+        })
+        .then(function() {
+          if (_.isEmpty(changes)) {
+            return;
+          }
+
+          var values = stamp(_.clone(changes), false);
+
+          // keep the new timestamp on the updated instance
+          _.extend(merged, _.omit(values, _.keys(changes)));
+
+          if (m._versionField) {
+            values[m._versionField] = nextVersion();
+          }
+
+          return db(options)(table).where(toColumns(whereClause))
+          .update(toRow(values))
+          .then(function(affected) {
+            assertWritten(affected, whereClause);
+
+            if (m._versionField) {
+              merged[m._versionField] += 1;
+            }
+          });
+        })
         .then(function() {
           // if the query succeeds, return a new object with the new values
-          var updated = new m(updateWith);
+          var updated = remember(definitions, fields ?
+              partial(merged, fields) : new m(merged));
 
           applyValues(self, updated);
+          remember(definitions, self);
+
+          if (fields) {
+            self._fields = fields;
+          }
 
-          return updated;
+          return runHooks(m._hooks, 'afterUpdate', [updated, db(options)])
+          .then(function() {
+            return updated;
+          });
         });
       };
     }
 
     /**
-     * Generic delete method. If there is a `deleted` flag in the model, it flips
-     * that flag to 1; otherwise, it deletes the record.
+     * Run a delete statement for an instance between its beforeDelete and
+     * afterDelete hooks.
+     */
+    function deleteWith(instance, options, run) {
+      return runHooks(m._hooks, 'beforeDelete', [instance, db(options)])
+      .then(function() {
+        return run(db(options)(table));
+      })
+      .then(function(result) {
+        return runHooks(m._hooks, 'afterDelete', [instance, db(options)])
+        .then(function() {
+          return result;
+        });
+      });
+    }
+
+    /**
+     * Delete the record of an instance with SQL DELETE.
+     */
+    function hardDelete(options) {
+      var whereClause = lockedWhere(this, 'delete');
+
+      return deleteWith(this, options, function(statement) {
+        return statement.where(toColumns(whereClause)).del()
+        .then(function(affected) {
+          return assertWritten(affected, whereClause);
+        });
+      });
+    }
+
+    /**
+     * Generic forceDelete method. Deletes the record with SQL DELETE, even if
+     * the model soft deletes.
+     */
+    if (overrides.forceDelete) {
+      // the user has provided a custom forceDelete function
+      m.prototype.forceDelete = overrides.forceDelete;
+    } else {
+      m.prototype.forceDelete = hardDelete;
+    }
+
+    /**
+     * Generic delete method. If the model soft deletes, it flags the record
+     * as deleted; otherwise, it deletes the record.
      */
     if (overrides['delete']) {
       // the user has provided a custom delete function
       m.prototype.delete = overrides['delete'];
-    } else if (m._hasDeletedBit) {
-      // use the default `deleted` bit function
-      m.prototype.delete = function() {
-        var whereClause = {};
+    } else if (m._softDelete) {
+      // use the default soft delete function
+      m.prototype.delete = function(options) {
+        var self = this,
+          whereClause = lockedWhere(this, 'delete'),
+          values = {};
 
-        if (m._primaryKey) {
-          whereClause[m._primaryKey] = this[m._primaryKey];
-        } else {
-          throw new Error('Cannot delete', table, 'without primary key definition');
-        }
+        values[m._softDelete.column] = softDeleteValue(true);
 
-        return knex(table).where(whereClause).update({
-          deleted: 1
+        return deleteWith(this, options, function(statement) {
+          return writeLocked(self, statement, whereClause, values);
         });
       };
     } else {
       // the default SQL DELETE function
-      m.prototype.delete = function() {
-        var whereClause = {};
+      m.prototype.delete = hardDelete;
+    }
 
-        if (m._primaryKey) {
-          whereClause[m._primaryKey] = this[m._primaryKey];
-        } else {
-          throw new Error('Cannot delete', table, 'without primary key definition');
+    /**
+     * Generic restore method. Clears the soft delete flag of the record.
+     * Resolves with the instance.
+     */
+    if (overrides.restore) {
+      // the user has provided a custom restore function
+      m.prototype.restore = overrides.restore;
+    } else {
+      m.prototype.restore = function(options) {
+        if (!m._softDelete) {
+          throw new Error('Cannot restore model ' + table + ' without soft ' +
+              'delete');
         }
 
-        return knex(table).where(whereClause).del();
+        var self = this,
+          whereClause = lockedWhere(this, 'restore'),
+          values = {};
+
+        values[m._softDelete.column] = softDeleteValue(false);
+
+        return writeLocked(self, db(options)(table), whereClause, values)
+        .then(function() {
+          return self;
+        });
       };
     }
 
+    /**
+     * Get a plain object of the instance for serialization, which
+     * JSON.stringify() uses. It holds the fields which are not `hidden`, the
+     * computed fields, and any loaded relations, serialized in turn.
+     *
+     * options.only lists the fields, computed fields and relations to keep,
+     * and may name hidden fields; options.except lists ones to leave out.
+     * options.relations gives the options for each relation, by name.
+     *
+     * ex.
+     * movie.toJSON({
+     *   except: ['metadata'],
+     *   relations: { productionCompany: { only: ['name'] } }
+     * });
+     */
+    m.prototype.toJSON = function(options) {
+      var self = this,
+        json = {};
+
+      // JSON.stringify() passes the property name instead of options
+      options = check.object(options) ? options : {};
+
+      if ((options.only && !check.array(options.only)) ||
+          (options.except && !check.array(options.except))) {
+        throw new TypeError('toJSON() only and except options must be arrays');
+      }
+
+      function visible(name, hidden) {
+        if (options.only) {
+          return _.contains(options.only, name);
+        }
+
+        return !hidden && !_.contains(options.except, name);
+      }
+
+      _.each(definitions, function(def, key) {
+        if (visible(key, def.hidden) && !_.isUndefined(self[key])) {
+          json[key] = self[key];
+        }
+      });
+
+      _.each(m._computed, function(fn, name) {
+        if (visible(name)) {
+          json[name] = self[name];
+        }
+      });
+
+      _.each(m._relations, function(rel, name) {
+        if (_.has(self, name) && visible(name)) {
+          json[name] = serialize(self[name],
+              options.relations && options.relations[name]);
+        }
+      });
+
+      return json;
+    };
+
+    /**
+     * Get the names of the fields which have changed since the instance was
+     * loaded or last saved. Every field with a value is changed on a new
+     * instance.
+     */
+    m.prototype.changedFields = function() {
+      return changedFields(definitions, this);
+    };
+
+    /**
+     * Check whether a field, or any field if none is given, has changed since
+     * the instance was loaded or last saved.
+     *
+     * ex.
+     * movie.title = 'Alien';
+     * movie.isDirty('title'); // true
+     * movie.isDirty('year'); // false
+     */
+    m.prototype.isDirty = function(field) {
+      var changed = this.changedFields();
+
+      return _.isUndefined(field) ? !!changed.length :
+          _.contains(changed, field);
+    };
+
+    /**
+     * Get the value a field had when the instance was loaded or last saved, or
+     * the object of all those values if no field is given. Undefined on new
+     * instances.
+     */
+    m.prototype.original = function(field) {
+      if (!this._original) {
+        return undefined;
+      }
+
+      return _.isUndefined(field) ? _.cloneDeep(this._original) :
+          _.cloneDeep(this._original[field]);
+    };
+
+    /**
+     * Insert a new instance, or write only the changed fields of a loaded one.
+     * Resolves with the instance itself, which afterwards holds the values in
+     * the database and is no longer dirty.
+     */
+    m.prototype.save = function(options) {
+      var self = this;
+
+      if (!this._original) {
+        return q(this.insert(options)).then(function(inserted) {
+          if (inserted instanceof m) {
+            applyValues(self, inserted);
+          }
+
+          return remember(definitions, self);
+        });
+      }
+
+      if (!this.isDirty()) {
+        return q(this);
+      }
+
+      return q(this.update(_.pick(this, this.changedFields()), options))
+      .then(function() {
+        return self;
+      });
+    };
+
+    /**
+     * Load the instance's current values from the database, discarding any
+     * unsaved changes, and filling in every field of a partial instance.
+     * Rejects if the row no longer exists.
+     */
+    m.prototype.reload = function(options) {
+      var self = this,
+        whereClause;
+
+      try {
+        whereClause = keyWhere(this, 'reload');
+      } catch (e) {
+        return q.reject(e);
+      }
+
+      return m.getOne(whereClause, _.extend(_.pick(options, 'transacting'), {
+        primary: true
+      }))
+      .then(function(loaded) {
+        if (!loaded) {
+          throw new Error('Cannot reload model ' + table + ': row not found');
+        }
+
+        applyValues(self, loaded);
+        delete self._fields;
+
+        return remember(definitions, self);
+      });
+    };
+
+    // computed fields are read through getters on the prototype, where they
+    // cannot be enumerated, and so never written to the database
+    _.each(m._computed, function(fn, name) {
+      if (name in m.prototype) {
+        throw new Error('Computed field ' + name + ' on model ' + table +
+            ' conflicts with a method of the same name');
+      }
+
+      Object.defineProperty(m.prototype, name, {
+        get: function() {
+          return fn.call(this);
+        },
+        enumerable: false,
+        configurable: true
+      });
+    });
+
+    /**
+     * Static method to define a model which extends this one, inheriting its
+     * definitions beneath the given ones (see lib/inherit.js for how they are
+     * merged). The new model is stored in a table of its own name, unless
+     * this model has a _discriminator, in which case it shares this model's
+     * table as a subtype.
+     *
+     * ex.
+     * var Movie = Media.extend('Movie', {
+     *   runtime: {
+     *     type: 'positive'
+     *   }
+     * });
+     */
+    m.extend = function(subName, extension) {
+      if (!check.unemptyString(subName) ||
+          (extension && !check.object(extension))) {
+        throw new TypeError('extend() requires a model name and an optional ' +
+            'object of definitions');
+      }
+
+      extension = extension || {};
+
+      var merged = inherit.merge(source, extension, subName),
+        subtype;
+
+      if (!m._discriminator) {
+        subtype = new Model(subName, merged);
+
+        // instances of the subtype are instances of this model too
+        Object.setPrototypeOf(subtype.prototype, m.prototype);
+
+        return subtype;
+      }
+
+      var value = (check.object(extension._discriminator) &&
+          extension._discriminator.value) || subName;
+
+      if (value === m._discriminator.value || _.has(m._subtypes, value)) {
+        throw new Error('Discriminator value ' + value + ' of model ' +
+            subName + ' is already taken');
+      }
+
+      merged._table = table;
+      merged._discriminator = { field: m._discriminator.field, value: value };
+
+      // the discriminator field always defaults to the subtype's own value
+      merged[m._discriminator.field] = _.omit(merged[m._discriminator.field],
+          'default');
+
+      subtype = new Model(subName, merged);
+      subtype._supertype = m;
+      Object.setPrototypeOf(subtype.prototype, m.prototype);
+
+      for (var model = m; model; model = model._supertype) {
+        model._subtypes[value] = subtype;
+      }
+
+      return subtype;
+    };
+
+    registry[name] = m;
+
     return m;
   }
 
+  /**
+   * Set the instance of knex used by every model of this class, including
+   * models defined before it was set.
+   */
+  Model.setKnex = function(newKnex) {
+    Model.setConnection('default', newKnex);
+  };
+
+  /**
+   * Set the knex instances of a named connection: that of the primary
+   * database, which takes every write, and those of any read replicas, which
+   * take reads in turn. Models choose their connection with _connection.
+   *
+   * ex.
+   * Model.setConnection('catalog', primaryKnex, [replicaKnex]);
+   */
+  Model.setConnection = function(name, primary, replicas) {
+    if (!check.unemptyString(name) || !primary ||
+        (replicas && !check.array(replicas))) {
+      throw new TypeError('setConnection() requires a connection name, a ' +
+          'knex instance and an optional array of replicas');
+    }
+
+    connections[name] = {
+      primary: primary,
+      replicas: replicas || [],
+      next: -1
+    };
+  };
+
+  /**
+   * Get the model defined with a name. Throws if there is none.
+   *
+   * ex.
+   * var Movie = Model.model('Movie');
+   */
+  Model.model = function(name) {
+    if (!_.has(registry, name)) {
+      throw new Error('No model is defined for ' + name);
+    }
+
+    return registry[name];
+  };
+
+  /**
+   * Remove a named connection. Models using it cannot query until it is set
+   * again.
+   */
+  Model.removeConnection = function(name) {
+    delete connections[name];
+  };
+
+  /**
+   * Get every model defined with this class, by name.
+   */
+  Model.models = function() {
+    return _.clone(registry);
+  };
+
+  if (knex) {
+    Model.setKnex(knex);
+  }
+
   return Model;
 } // end createModelClass
 
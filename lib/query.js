@@ -0,0 +1,204 @@
+/**
+ * query.js
+ *
+ * Compiles declarative query objects into knex where clauses.
+ *
+ * ex.
+ * {
+ *   year: { $gte: 1990, $lt: 2000 },
+ *   title: { $like: 'The %' },
+ *   $or: [
+ *     { productionCompanyId: { $in: [1, 2] } },
+ *     { metadata: { $null: true } }
+ *   ]
+ * }
+ */
+
+var check = require('check-types'),
+  _ = require('lodash');
+
+/**
+ * Operators which map directly onto a SQL comparison operator.
+ */
+var comparisons = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $like: 'like'
+};
+
+/**
+ * Compile a single operator applied to a column into a function which adds the
+ * matching where clause to a knex builder.
+ */
+function compileOperator(column, operator, value) {
+  if (_.has(comparisons, operator)) {
+    return function(builder) {
+      builder.where(column, comparisons[operator], value);
+    };
+  }
+
+  switch (operator) {
+    case '$ne':
+      return function(builder) {
+        if (_.isNull(value)) {
+          builder.whereNotNull(column);
+        } else {
+          builder.where(column, '<>', value);
+        }
+      };
+
+    case '$in':
+    case '$nin':
+      if (!check.array(value)) {
+        throw new TypeError('Operator ' + operator + ' on field ' + column +
+            ' requires an array');
+      }
+
+      return function(builder) {
+        if (operator === '$in') {
+          builder.whereIn(column, value);
+        } else {
+          builder.whereNotIn(column, value);
+        }
+      };
+
+    case '$between':
+      if (!check.array(value) || value.length !== 2) {
+        throw new TypeError('Operator $between on field ' + column +
+            ' requires an array of two values');
+      }
+
+      return function(builder) {
+        builder.whereBetween(column, value);
+      };
+
+    case '$null':
+      if (!check.boolean(value)) {
+        throw new TypeError('Operator $null on field ' + column +
+            ' requires a boolean');
+      }
+
+      return function(builder) {
+        if (value) {
+          builder.whereNull(column);
+        } else {
+          builder.whereNotNull(column);
+        }
+      };
+
+    default:
+      throw new Error('Unknown query operator ' + operator + ' on field ' +
+          column);
+  }
+}
+
+/**
+ * Compile the condition on a single column. Plain values are compared for
+ * equality (or IS NULL), and objects are treated as a set of operators which
+ * must all hold.
+ */
+function compileField(column, value) {
+  if (!_.isPlainObject(value)) {
+    return function(builder) {
+      builder.where(column, value);
+    };
+  }
+
+  var steps = _.map(value, function(operand, operator) {
+    return compileOperator(column, operator, operand);
+  });
+
+  return function(builder) {
+    _.each(steps, function(step) {
+      step(builder);
+    });
+  };
+}
+
+/**
+ * Compile a list of query objects for the $or and $and groupings.
+ */
+function compileList(operator, list, hasField, table, columnOf) {
+  if (!check.array(list) || !list.length) {
+    throw new TypeError('Operator ' + operator + ' requires a non-empty ' +
+        'array of queries');
+  }
+
+  return _.map(list, function(query) {
+    return compileQuery(query, hasField, table, columnOf);
+  });
+}
+
+/**
+ * Compile a query object into a function which applies it to a knex builder.
+ * Every field named in the query is validated with `hasField`, so that this
+ * throws synchronously on malformed queries before any SQL is run. Fields are
+ * turned into column names with `columnOf`, if given.
+ */
+function compileQuery(query, hasField, table, columnOf) {
+  if (!_.isPlainObject(query)) {
+    throw new TypeError('Query on model ' + table + ' must be an object');
+  }
+
+  var steps = _.map(query, function(value, key) {
+    var groups;
+
+    if (key === '$or') {
+      groups = compileList(key, value, hasField, table, columnOf);
+
+      return function(builder) {
+        builder.where(function() {
+          var inner = this;
+
+          _.each(groups, function(group) {
+            inner.orWhere(function() {
+              group(this);
+            });
+          });
+        });
+      };
+    }
+
+    if (key === '$and') {
+      groups = compileList(key, value, hasField, table, columnOf);
+
+      return function(builder) {
+        _.each(groups, function(group) {
+          builder.where(function() {
+            group(this);
+          });
+        });
+      };
+    }
+
+    if (key === '$not') {
+      var group = compileQuery(value, hasField, table, columnOf);
+
+      return function(builder) {
+        builder.whereNot(function() {
+          group(this);
+        });
+      };
+    }
+
+    if (!hasField(key)) {
+      throw new Error('Unknown field ' + key + ' in query on model ' + table);
+    }
+
+    return compileField(columnOf ? columnOf(key) : key, value);
+  });
+
+  return function(builder) {
+    _.each(steps, function(step) {
+      step(builder);
+    });
+
+    return builder;
+  };
+}
+
+module.exports = {
+  compileQuery: compileQuery
+};
@@ -0,0 +1,292 @@
+/**
+ * relations.js
+ *
+ * Relation definitions and batched eager loading for models.
+ */
+
+var check = require('check-types'),
+  _ = require('lodash'),
+  q = require('q');
+
+/**
+ * The kinds of relation a model may declare in its _relations definition.
+ */
+var relationTypes = ['belongsTo', 'hasMany', 'manyToMany'];
+
+/**
+ * Validate the _relations definition of a model and return a normalized copy.
+ * Throws if a relation is malformed or collides with a field definition.
+ *
+ * ex.
+ * _relations: {
+ *   productionCompany: {
+ *     type: 'belongsTo',
+ *     model: ProductionCompany,
+ *     foreignKey: 'productionCompanyId'
+ *   },
+ *   reviews: {
+ *     type: 'hasMany',
+ *     model: 'Review', // looked up by table name when first used
+ *     foreignKey: 'movieId'
+ *   },
+ *   actors: {
+ *     type: 'manyToMany',
+ *     model: function() { return Actor; }, // lazily resolved model
+ *     through: 'MovieActor',
+ *     foreignKey: 'movieId',
+ *     otherKey: 'actorId'
+ *   }
+ * }
+ */
+function defineRelations(table, definitions, relations) {
+  var defined = {};
+
+  if (!check.object(relations)) {
+    throw new TypeError('Model _relations must be an object');
+  }
+
+  _.each(relations, function(rel, name) {
+    if (!check.object(rel) || !_.contains(relationTypes, rel.type)) {
+      throw new TypeError('Relation ' + name + ' on model ' + table +
+          ' must have a type of ' + relationTypes.join(', '));
+    }
+
+    if (!check.function(rel.model) && !check.unemptyString(rel.model)) {
+      throw new TypeError('Relation ' + name + ' on model ' + table +
+          ' requires a model');
+    }
+
+    if (!check.unemptyString(rel.foreignKey)) {
+      throw new TypeError('Relation ' + name + ' on model ' + table +
+          ' requires a foreignKey');
+    }
+
+    if (rel.type === 'manyToMany' &&
+        (!check.unemptyString(rel.through) ||
+         !check.unemptyString(rel.otherKey))) {
+      throw new TypeError('manyToMany relation ' + name + ' on model ' +
+          table + ' requires a through table and an otherKey');
+    }
+
+    if (_.has(definitions, name)) {
+      throw new Error('Relation ' + name + ' on model ' + table +
+          ' conflicts with a field of the same name');
+    }
+
+    defined[name] = _.clone(rel);
+  });
+
+  return defined;
+}
+
+/**
+ * Resolve the model a relation points to. The model may be given directly or
+ * through a function returning it, which allows circular relations.
+ */
+function resolveModel(rel) {
+  if (check.function(rel.model.getOne)) {
+    return rel.model;
+  }
+
+  return rel.model();
+}
+
+/**
+ * Parse an include option into a map of relation name to nested includes.
+ * Accepts a string or an array of strings, using dots for nested relations.
+ *
+ * ex. ['productionCompany.owner', 'actors'] =>
+ *   { productionCompany: ['owner'], actors: [] }
+ */
+function parseInclude(include) {
+  var tree = {};
+
+  if (check.string(include)) {
+    include = [include];
+  }
+
+  if (!check.array(include)) {
+    throw new TypeError('include option must be a string or an array of ' +
+        'strings');
+  }
+
+  _.each(include, function(path) {
+    var parts = path.split('.'),
+      name = parts.shift();
+
+    tree[name] = tree[name] || [];
+
+    if (parts.length) {
+      tree[name].push(parts.join('.'));
+    }
+  });
+
+  return tree;
+}
+
+/**
+ * Start a select on the related model's table which leaves out that model's
+ * soft deleted rows. It reads from wherever the related model reads for
+ * `options`: the caller's transaction, the primary database if
+ * options.primary is set, or else one of its read replicas.
+ */
+function selectRelated(Related, column, values, options) {
+  var db = Related._readDb(options),
+    statement = db(Related._table).whereIn(column, values),
+    softDelete = Related._softDelete,
+    deleted = softDelete &&
+        Related._table + '.' + Related._columnOf(softDelete.column);
+
+  if (softDelete && softDelete.strategy === 'timestamp') {
+    statement.whereNull(deleted);
+  } else if (softDelete) {
+    statement.where(deleted, Related._softDeleteValue(false));
+  }
+
+  return statement;
+}
+
+/**
+ * Get the unique, non-null values of `key` across the given instances.
+ */
+function collectKeys(instances, key) {
+  return _.uniq(_.filter(_.pluck(instances, key), function(val) {
+    return !_.isUndefined(val) && !_.isNull(val);
+  }));
+}
+
+/**
+ * Load one relation for a list of instances with a single query, assigning
+ * the hydrated related instances onto each owner once their afterFetch hooks
+ * have run. Resolves with the flat list
+ * of related instances so that nested includes can be loaded in turn.
+ */
+function loadRelation(m, instances, name, rel, options) {
+  var Related = resolveModel(rel),
+    keys, pivot;
+
+  if (rel.type === 'belongsTo') {
+    var references = rel.references || Related._primaryKey;
+
+    keys = collectKeys(instances, rel.foreignKey);
+
+    if (!keys.length) {
+      _.each(instances, function(instance) {
+        instance[name] = null;
+      });
+
+      return q([]);
+    }
+
+    return selectRelated(Related, Related._columnOf(references), keys, options)
+    .select()
+    .then(function(rows) {
+      return Related._afterFetch(_.map(rows, function(row) {
+        return Related._hydrate(row);
+      }), options);
+    })
+    .then(function(related) {
+      var byKey = _.indexBy(related, references);
+
+      _.each(instances, function(instance) {
+        instance[name] = byKey[instance[rel.foreignKey]] || null;
+      });
+
+      return related;
+    });
+  }
+
+  var localKey = rel.localKey || m._primaryKey;
+
+  if (!localKey) {
+    throw new Error('Cannot load relation ' + name + ' on model ' + m._table +
+        ' without primary key definition');
+  }
+
+  keys = collectKeys(instances, localKey);
+
+  if (!keys.length) {
+    _.each(instances, function(instance) {
+      instance[name] = [];
+    });
+
+    return q([]);
+  }
+
+  var statement;
+
+  if (rel.type === 'hasMany') {
+    statement = selectRelated(Related, Related._columnOf(rel.foreignKey), keys,
+        options).select();
+  } else {
+    // manyToMany: join through the pivot table and select the owner's key
+    // under an alias so that rows can be grouped by owner
+    pivot = '_pivot_' + rel.foreignKey;
+    statement = selectRelated(Related, rel.through + '.' + rel.foreignKey, keys,
+        options)
+    .join(rel.through, rel.through + '.' + rel.otherKey,
+        Related._table + '.' +
+        Related._columnOf(rel.references || Related._primaryKey))
+    .select(Related._table + '.*',
+        rel.through + '.' + rel.foreignKey + ' as ' + pivot);
+  }
+
+  return statement.then(function(rows) {
+    var related = _.map(rows, function(row) {
+      return Related._hydrate(row);
+    });
+
+    return Related._afterFetch(related, options).then(function() {
+      var grouped = {};
+
+      _.each(related, function(instance, i) {
+        var owner = pivot ? rows[i][pivot] : instance[rel.foreignKey];
+
+        grouped[owner] = grouped[owner] || [];
+        grouped[owner].push(instance);
+      });
+
+      _.each(instances, function(instance) {
+        instance[name] = grouped[instance[localKey]] || [];
+      });
+
+      return related;
+    });
+  });
+}
+
+/**
+ * Eagerly load the relations named in `include` onto the given instances,
+ * issuing one query per relation rather than one per instance. Resolves with
+ * the instances once every relation, including nested ones, is loaded.
+ */
+function loadRelations(m, instances, include, options) {
+  var tree = parseInclude(include),
+    list = _.compact(check.array(instances) ? instances : [instances]);
+
+  if (!list.length) {
+    return q(instances);
+  }
+
+  return q.all(_.map(tree, function(nested, name) {
+    var rel = m._relations[name];
+
+    if (!rel) {
+      throw new Error('Model ' + m._table + ' has no relation named ' + name);
+    }
+
+    return loadRelation(m, list, name, rel, options).then(function(related) {
+      if (nested.length && related.length) {
+        return loadRelations(resolveModel(rel), related, nested, options);
+      }
+    });
+  }))
+  .then(function() {
+    return instances;
+  });
+}
+
+module.exports = {
+  defineRelations: defineRelations,
+  loadRelations: loadRelations
+};
@@ -0,0 +1,532 @@
+/**
+ * schema.js
+ *
+ * Generates tables and migrations from model definitions.
+ */
+
+var check = require('check-types'),
+  _ = require('lodash'),
+  q = require('q'),
+  fs = require('fs'),
+  path = require('path'),
+  dialectOf = require('./dialect.js').dialectOf,
+  dialectName = require('./connection.js').dialectName;
+
+/**
+ * Mapping from definition types (check-types names and the types of
+ * lib/types.js) to knex column types, by dialect. Each mapping names a knex
+ * column builder method in `type`, may pass extra arguments to it in `args`,
+ * or in the array returned by `args(def)` for arguments taken from the field
+ * definition, and may mark the column `unsigned`. Dialects are keyed by
+ * their knex names, like `postgresql`, and the `default` dialect is used for
+ * any type a dialect does not override.
+ */
+var types = {
+  default: {
+    positive: { type: 'integer', unsigned: true },
+    negative: { type: 'integer' },
+    integer: { type: 'integer' },
+    odd: { type: 'integer' },
+    even: { type: 'integer' },
+    zero: { type: 'integer' },
+    number: { type: 'float' },
+    string: { type: 'string' },
+    unemptyString: { type: 'string' },
+    boolean: { type: 'boolean' },
+    date: { type: 'dateTime' },
+    object: { type: 'text' },
+    array: { type: 'text' },
+    json: { type: 'text' },
+    enum: {
+      type: 'enu',
+      args: function(def) {
+        return [def.values];
+      }
+    },
+    decimal: {
+      type: 'decimal',
+      args: function(def) {
+        return _.isUndefined(def.precision) ? [] :
+            [def.precision, def.scale || 0];
+      }
+    }
+  },
+  postgresql: {
+    positive: { type: 'integer' },
+    number: { type: 'double' },
+    date: { type: 'timestamp' },
+    object: { type: 'json' },
+    array: { type: 'json' },
+    json: { type: 'json' }
+  }
+};
+
+/**
+ * The introspected database types which satisfy each knex column type, used
+ * when diffing a model against the live database.
+ */
+var dbTypes = {
+  increments: ['int', 'integer', 'serial'],
+  integer: ['int', 'integer', 'smallint', 'mediumint'],
+  bigInteger: ['bigint', 'int8'],
+  float: ['float', 'real', 'double'],
+  double: ['double', 'float8', 'real'],
+  decimal: ['decimal', 'numeric'],
+  string: ['varchar', 'character varying', 'char'],
+  text: ['text', 'mediumtext', 'longtext'],
+  boolean: ['boolean', 'bool', 'tinyint'],
+  date: ['date'],
+  dateTime: ['datetime', 'timestamp'],
+  timestamp: ['timestamp', 'datetime'],
+  json: ['json', 'jsonb', 'text'],
+  enu: ['enum', 'text', 'varchar', 'character varying']
+};
+
+/**
+ * Set the knex column type used for a definition type. When `dialect` is
+ * omitted the mapping applies to every dialect which does not override it.
+ * Dialects may be named by any of the names connect() accepts, like
+ * 'postgres' for 'postgresql'.
+ *
+ * ex.
+ * schema.setType('string', { type: 'string', args: [100] }, 'mysql');
+ */
+function setType(name, mapping, dialect) {
+  if (!check.unemptyString(name) || !check.object(mapping) ||
+      !check.unemptyString(mapping.type)) {
+    throw new TypeError('setType() requires a type name and a mapping ' +
+        'object with a knex column type');
+  }
+
+  dialect = dialect ? dialectName(dialect) : 'default';
+  types[dialect] = types[dialect] || {};
+  types[dialect][name] = mapping;
+}
+
+/**
+ * Get the knex column type mapping for a field definition.
+ */
+function columnType(def, key, dialect) {
+  if (def.autoIncrement) {
+    return { type: 'increments' };
+  }
+
+  dialect = dialectName(dialect);
+
+  var mapping = (types[dialect] && types[dialect][def.type]) ||
+      types.default[def.type];
+
+  if (!mapping) {
+    throw new Error('No column type mapping for type ' + def.type +
+        ' on field ' + key);
+  }
+
+  return mapping;
+}
+
+/**
+ * Get the list of knex table builder calls for a field definition, as
+ * [method, args] pairs. The first call creates the column on the table and
+ * the rest are chained onto it.
+ */
+function columnCalls(key, def, dialect) {
+  var mapping = columnType(def, key, dialect),
+    args = check.function(mapping.args) ? mapping.args(def) : mapping.args,
+    calls = [[mapping.type, [key].concat(args || [])]];
+
+  if (mapping.type === 'increments') {
+    // increments columns are already unsigned primary keys
+    return calls;
+  }
+
+  if (mapping.unsigned) {
+    calls.push(['unsigned', []]);
+  }
+
+  calls.push(def.nullable ? ['nullable', []] : ['notNullable', []]);
+
+  if (!_.isUndefined(def.default) && !_.isNull(def.default) &&
+      !check.function(def.default)) {
+    // default functions are computed by the model, not the database
+    calls.push(['defaultTo', [def.default]]);
+  }
+
+  if (def.unique) {
+    calls.push(['unique', []]);
+  }
+
+  return calls;
+}
+
+/**
+ * The column types of auto-increment fields which are part of a composite
+ * primary key, by dialect. knex's increments columns are primary keys of
+ * their own, so these columns leave the key to the primary() call.
+ */
+var compositeIncrements = {
+  mysql: 'int unsigned not null auto_increment',
+  mariadb: 'int unsigned not null auto_increment',
+  postgresql: 'serial'
+};
+
+/**
+ * Get the lists of knex table builder calls which create the columns of a
+ * set of definitions (see columnCalls()), followed by the call which makes
+ * their primary key. The key is made once over all of its columns, since a
+ * primary() call on each column of a composite key would add several
+ * primary keys. A single auto-increment key is made by its increments
+ * column instead.
+ */
+function tableCalls(definitions, dialect) {
+  // auto-increment columns come first, since MySQL needs them to lead an
+  // index
+  var keys = _.sortBy(_.keys(_.pick(definitions, function(def) {
+      return def.primaryId;
+    })), function(key) {
+      return definitions[key].autoIncrement ? 0 : 1;
+    }),
+    composite = keys.length > 1;
+
+  dialect = dialectName(dialect);
+
+  var calls = _.map(definitions, function(def, key) {
+    if (!composite || !def.autoIncrement) {
+      return columnCalls(key, def, dialect);
+    }
+
+    if (!_.has(compositeIncrements, dialect)) {
+      throw new Error('Auto-increment field ' + key + ' cannot be part of ' +
+          'a composite primary key on ' + dialect);
+    }
+
+    return [['specificType', [key, compositeIncrements[dialect]]]];
+  });
+
+  if (keys.length && (composite || !definitions[keys[0]].autoIncrement)) {
+    calls.push([['primary', [keys]]]);
+  }
+
+  return calls;
+}
+
+/**
+ * Create the table for a set of definitions. Resolves when the table exists.
+ */
+function createTable(knex, table, definitions) {
+  var calls = tableCalls(definitions, dialectOf(knex));
+
+  return knex.schema.createTable(table, function(builder) {
+    _.each(calls, function(chain) {
+      _.reduce(chain, function(target, call) {
+        return target[call[0]].apply(target, call[1]);
+      }, builder);
+    });
+  }).then();
+}
+
+/**
+ * Describe how an introspected column differs from a field definition, or
+ * return null if it matches.
+ */
+function describeChange(key, def, column, dialect) {
+  var expected = columnType(def, key, dialect).type,
+    actual = String(column.type).toLowerCase(),
+    nullable = !!def.nullable && !def.autoIncrement,
+    accepted = dbTypes[expected] || [expected.toLowerCase()],
+    typeMatches = _.any(accepted, function(name) {
+      return actual.indexOf(name) === 0;
+    });
+
+  if (typeMatches && column.nullable === nullable) {
+    return null;
+  }
+
+  return {
+    field: key,
+    expected: { type: expected, nullable: nullable },
+    actual: _.omit({
+      type: column.type,
+      nullable: column.nullable,
+      maxLength: column.maxLength || undefined
+    }, _.isUndefined)
+  };
+}
+
+/**
+ * Compare a set of definitions against the live table. Resolves with an
+ * object describing the differences:
+ *
+ * {
+ *   table: 'Movie',
+ *   exists: true,
+ *   added: ['year'],        // defined, but not in the database
+ *   removed: { old: {...} }, // in the database, but not defined
+ *   changed: [{ field, expected: {type, nullable},
+ *       actual: {type, nullable, maxLength} }]
+ * }
+ */
+function diff(knex, table, definitions) {
+  var dialect = dialectOf(knex);
+
+  return knex.schema.hasTable(table).then(function(exists) {
+    var result = {
+      table: table,
+      exists: !!exists,
+      added: [],
+      removed: {},
+      changed: []
+    };
+
+    if (!exists) {
+      result.added = _.keys(definitions);
+
+      return result;
+    }
+
+    return knex(table).columnInfo().then(function(columns) {
+      _.each(definitions, function(def, key) {
+        if (!_.has(columns, key)) {
+          result.added.push(key);
+        } else {
+          var change = describeChange(key, def, columns[key], dialect);
+
+          if (change) {
+            result.changed.push(change);
+          }
+        }
+      });
+
+      result.removed = _.omit(columns, _.keys(definitions));
+
+      return result;
+    });
+  });
+}
+
+/**
+ * Quote a value for use in generated source.
+ */
+function quote(value) {
+  if (_.isString(value)) {
+    return '\'' + value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Render a list of table builder calls as a line of migration source.
+ */
+function renderCalls(calls) {
+  return 'table' + _.map(calls, function(call) {
+    return '.' + call[0] + '(' + _.map(call[1], quote).join(', ') + ')';
+  }).join('') + ';';
+}
+
+/**
+ * Render the calls to recreate a removed column from its introspected info.
+ */
+function renderRemoved(key, column) {
+  var type = column.type +
+      (column.maxLength ? '(' + column.maxLength + ')' : '');
+
+  return renderCalls([
+    ['specificType', [key, type]],
+    column.nullable ? ['nullable', []] : ['notNullable', []]
+  ]);
+}
+
+/**
+ * Compile the definition of a field's column in the dialect of a knex
+ * instance, like "`title` varchar(255) not null", from the SQL creating a
+ * table of that column alone. With `typeOnly`, nullability, defaults and
+ * indexes are left out, as is the name of the column.
+ */
+function columnSql(knex, key, def, typeOnly) {
+  var calls = columnCalls(key, def.autoIncrement && typeOnly ?
+      _.extend(_.omit(def, 'autoIncrement'), { type: 'integer' }) : def,
+      dialectOf(knex));
+
+  if (typeOnly) {
+    calls = _.filter(calls, function(call, i) {
+      return !i || call[0] === 'unsigned';
+    });
+  }
+
+  var sql = knex.schema.createTable('t', function(builder) {
+      _.reduce(calls, function(target, call) {
+        return target[call[0]].apply(target, call[1]);
+      }, builder);
+    }).toSQL()[0].sql,
+    column = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+
+  return typeOnly ?
+      column.slice(knex.client.formatter().wrap(key).length + 1) : column;
+}
+
+/**
+ * Get the SQL statements which alter the columns of changed fields to match
+ * their definitions (`up`), and those which restore them as they were
+ * (`down`), as lists of SQL. MySQL redefines each column with MODIFY, and
+ * Postgres alters its type and nullability. sqlite cannot alter columns, so
+ * changes to them throw.
+ */
+function alterStatements(knex, table, changed, definitions) {
+  var dialect = dialectOf(knex),
+    formatter = knex.client.formatter(),
+    wrappedTable = formatter.wrap(table);
+
+  if (changed.length && dialect === 'sqlite3') {
+    throw new Error('sqlite cannot alter columns, so table ' + table +
+        ' must be rebuilt by hand to change ' +
+        _.pluck(changed, 'field').join(', '));
+  }
+
+  function actualType(change) {
+    return change.actual.type + (change.actual.maxLength ?
+        '(' + change.actual.maxLength + ')' : '');
+  }
+
+  if (dialect === 'postgresql') {
+    var alter = function(column, type, nullable) {
+      // enums compile to text with a check constraint, added separately
+      var parts = type.split(/ check (?=\()/);
+
+      return 'alter table ' + wrappedTable + ' alter column ' + column +
+          ' type ' + parts[0] + ' using ' + column + '::' + parts[0] +
+          ', alter column ' + column +
+          (nullable ? ' drop not null' : ' set not null') +
+          (parts[1] ? ', add check ' + parts[1] : '');
+    };
+
+    return {
+      up: _.map(changed, function(change) {
+        return alter(formatter.wrap(change.field),
+            columnSql(knex, change.field, definitions[change.field], true),
+            change.expected.nullable);
+      }),
+      down: _.map(changed, function(change) {
+        return alter(formatter.wrap(change.field), actualType(change),
+            change.actual.nullable);
+      })
+    };
+  }
+
+  return {
+    up: _.map(changed, function(change) {
+      // MODIFY keeps the existing primary key
+      return 'alter table ' + wrappedTable + ' modify ' +
+          columnSql(knex, change.field, definitions[change.field])
+          .replace(/ primary key$/, '');
+    }),
+    down: _.map(changed, function(change) {
+      return 'alter table ' + wrappedTable + ' modify ' +
+          formatter.wrap(change.field) + ' ' + actualType(change) +
+          (change.actual.nullable ? ' null' : ' not null');
+    })
+  };
+}
+
+/**
+ * Render the body of a migration function, which runs a knex.schema call
+ * followed by raw SQL statements in turn.
+ */
+function renderSteps(schemaCall, statements) {
+  if (!schemaCall && !statements.length) {
+    return '  return Promise.resolve();';
+  }
+
+  var steps = _.map(statements, function(sql) {
+    return 'knex.raw(' + quote(sql) + ')';
+  });
+
+  if (!schemaCall) {
+    schemaCall = '  return ' + steps.shift() + ';';
+  }
+
+  return _.reduce(steps, function(source, step) {
+    return source.replace(/;$/, '') + '\n  .then(function() {\n' +
+        '    return ' + step + ';\n  });';
+  }, schemaCall);
+}
+
+/**
+ * Wrap lines of table builder calls in a knex.schema call.
+ */
+function renderSchemaCall(method, table, lines) {
+  return '  return knex.schema.' + method + '(' + quote(table) +
+      ', function(table) {\n' +
+      _.map(lines, function(line) {
+        return '    ' + line;
+      }).join('\n') + '\n  });';
+}
+
+/**
+ * Generate the source of a knex migration file from the result of diff(),
+ * in the dialect of a knex instance. Columns are added and dropped through
+ * knex.schema, and changed columns are altered with raw SQL, since knex has
+ * no portable way to alter them (see alterStatements()).
+ */
+function migration(result, definitions, knex) {
+  var table = result.table,
+    dialect = dialectOf(knex),
+    up, down;
+
+  if (!result.exists) {
+    up = renderSchemaCall('createTable', table,
+        _.map(tableCalls(definitions, dialect), renderCalls));
+    down = '  return knex.schema.dropTable(' + quote(table) + ');';
+  } else {
+    var upLines = [],
+      downLines = [];
+
+    _.each(result.added, function(key) {
+      upLines.push(renderCalls(columnCalls(key, definitions[key], dialect)));
+      downLines.push('table.dropColumn(' + quote(key) + ');');
+    });
+
+    _.each(result.removed, function(column, key) {
+      upLines.push('table.dropColumn(' + quote(key) + ');');
+      downLines.push(renderRemoved(key, column));
+    });
+
+    var statements = alterStatements(knex, table, result.changed,
+        definitions);
+
+    up = renderSteps(upLines.length &&
+        renderSchemaCall('table', table, upLines), statements.up);
+    down = renderSteps(downLines.length &&
+        renderSchemaCall('table', table, downLines), statements.down);
+  }
+
+  return 'exports.up = function(knex, Promise) {\n' + up + '\n};\n\n' +
+      'exports.down = function(knex, Promise) {\n' + down + '\n};\n';
+}
+
+/**
+ * Write migration source into `directory` using knex's timestamped file
+ * naming. Resolves with the path of the new file.
+ */
+function writeMigration(directory, name, source) {
+  var now = new Date(),
+    pad = function(n) {
+      return n < 10 ? '0' + n : String(n);
+    },
+    stamp = now.getFullYear() + pad(now.getMonth() + 1) + pad(now.getDate()) +
+        pad(now.getHours()) + pad(now.getMinutes()) + pad(now.getSeconds()),
+    file = path.join(directory, stamp + '_' + name + '.js');
+
+  return q.nfcall(fs.writeFile, file, source).then(function() {
+    return file;
+  });
+}
+
+module.exports = {
+  types: types,
+  setType: setType,
+  columnCalls: columnCalls,
+  createTable: createTable,
+  diff: diff,
+  migration: migration,
+  writeMigration: writeMigration
+};
@@ -0,0 +1,216 @@
+/**
+ * types.js
+ *
+ * Field types beyond the check-types predicates: how values of each type are
+ * validated, read from the database and written to it.
+ */
+
+var check = require('check-types'),
+  _ = require('lodash');
+
+/**
+ * The values drivers return for boolean columns, which MySQL and sqlite store
+ * as integers, along with the booleans they stand for.
+ */
+var booleans = {
+  '1': true,
+  '0': false,
+  't': true,
+  'f': false,
+  'true': true,
+  'false': false
+};
+
+/**
+ * Registered types, by name. Each has a validate(value, def) function, and
+ * may have fromDb(value, def) to convert a value read from the database and
+ * toDb(value, def) to convert one being written. Registered types take
+ * precedence over check-types predicates of the same name.
+ */
+var types = {
+  boolean: {
+    validate: check.boolean,
+    fromDb: function(value) {
+      if ((check.number(value) || check.string(value)) &&
+          _.has(booleans, String(value))) {
+        return booleans[String(value)];
+      }
+
+      return value;
+    }
+  },
+
+  date: {
+    validate: check.date,
+    fromDb: function(value) {
+      // sqlite stores dates as milliseconds, and some drivers return strings
+      return check.number(value) || check.unemptyString(value) ?
+          new Date(value) : value;
+    }
+  },
+
+  json: {
+    validate: function(value) {
+      return !_.isUndefined(value) && !check.function(value);
+    },
+    fromDb: function(value) {
+      if (!check.string(value)) {
+        // Postgres parses json columns itself
+        return value;
+      }
+
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return value;
+      }
+    },
+    toDb: function(value) {
+      return JSON.stringify(value);
+    }
+  },
+
+  enum: {
+    validate: function(value, def) {
+      return _.contains(def.values, value);
+    }
+  },
+
+  decimal: {
+    validate: function(value, def) {
+      if (!check.number(value)) {
+        return false;
+      }
+
+      if (_.isUndefined(def.precision)) {
+        return true;
+      }
+
+      // the fraction is rounded to the scale, so only the integer part can
+      // fail to fit
+      return Math.abs(value) <
+          Math.pow(10, def.precision - (def.scale || 0));
+    },
+    fromDb: function(value) {
+      // drivers return decimals as strings to keep their precision
+      return check.unemptyString(value) && isFinite(value) ?
+          Number(value) : value;
+    },
+    toDb: function(value, def) {
+      return check.number(value) && !_.isUndefined(def.scale) ?
+          value.toFixed(def.scale) : value;
+    }
+  }
+};
+
+/**
+ * Register a field type, or replace an existing one. `validate` is required;
+ * `fromDb` and `toDb` default to leaving values as they are.
+ *
+ * ex.
+ * types.register('point', {
+ *   validate: function(value) {
+ *     return check.number(value.x) && check.number(value.y);
+ *   },
+ *   fromDb: function(value) {
+ *     var parts = value.split(',');
+ *
+ *     return { x: Number(parts[0]), y: Number(parts[1]) };
+ *   },
+ *   toDb: function(value) {
+ *     return value.x + ',' + value.y;
+ *   }
+ * });
+ */
+function register(name, type) {
+  if (!check.unemptyString(name) || !check.object(type) ||
+      !check.function(type.validate)) {
+    throw new TypeError('registerType() requires a type name and an object ' +
+        'with a validate() function');
+  }
+
+  if ((type.fromDb && !check.function(type.fromDb)) ||
+      (type.toDb && !check.function(type.toDb))) {
+    throw new TypeError('fromDb and toDb of type ' + name + ' must be ' +
+        'functions');
+  }
+
+  types[name] = _.pick(type, 'validate', 'fromDb', 'toDb');
+}
+
+/**
+ * Throw if a field definition has a type which is neither registered nor a
+ * check-types predicate, or lacks the settings its type needs.
+ */
+function checkDefinition(def, key, table) {
+  var type = def.type;
+
+  if (!_.has(types, type) && !check.function(check[type])) {
+    throw new TypeError('Field ' + key + ' on model ' + table + ' has ' +
+        'unknown type ' + type);
+  }
+
+  if (type === 'enum' && (!check.array(def.values) || !def.values.length)) {
+    throw new TypeError('Enum field ' + key + ' on model ' + table +
+        ' requires a list of values');
+  }
+
+  if (type === 'decimal' && ((!_.isUndefined(def.precision) &&
+      !check.positive(def.precision)) || (!_.isUndefined(def.scale) &&
+      (!check.integer(def.scale) || def.scale < 0)))) {
+    throw new TypeError('Decimal field ' + key + ' on model ' + table +
+        ' requires a positive precision and a whole scale');
+  }
+}
+
+/**
+ * Check whether a value fits the type of a field definition.
+ */
+function isValid(def, value) {
+  if (_.has(types, def.type)) {
+    return !!types[def.type].validate(value, def);
+  }
+
+  return check[def.type](value);
+}
+
+/**
+ * Convert the values of a row with the function of each field's type named
+ * by `direction`, 'fromDb' or 'toDb'. Null values and values of fields
+ * which are not defined are left as they are.
+ */
+function convert(definitions, values, direction) {
+  return _.mapValues(values, function(value, key) {
+    var def = _.has(definitions, key) && definitions[key],
+      type = def && _.has(types, def.type) && types[def.type];
+
+    if (!type || !type[direction] || _.isUndefined(value) ||
+        _.isNull(value)) {
+      return value;
+    }
+
+    return type[direction](value, def);
+  });
+}
+
+/**
+ * Convert the values of a row read from the database, keyed by field name.
+ */
+function fromDb(definitions, row) {
+  return convert(definitions, row, 'fromDb');
+}
+
+/**
+ * Convert field values for writing to the database.
+ */
+function toDb(definitions, values) {
+  return convert(definitions, values, 'toDb');
+}
+
+module.exports = {
+  register: register,
+  checkDefinition: checkDefinition,
+  isValid: isValid,
+  fromDb: fromDb,
+  toDb: toDb
+};
@@ -0,0 +1,132 @@
+/**
+ * Test chainable queries on models.
+ */
+
+var expect = require('chai').should(),
+  env = require('./env');
+
+describe('the query builder', function() {
+  var TestModel, queries;
+
+  before(env.setup);
+  after(env.teardown);
+
+  beforeEach(function() {
+    queries = [];
+
+    TestModel = env.getTestModelClass({
+      movieId: {
+        type: 'positive',
+        primaryId: true
+      },
+      ownerId: {
+        type: 'positive'
+      },
+      year: {
+        type: 'positive'
+      },
+      deleted: {
+        type: 'integer',
+        default: 0
+      },
+      _scopes: {
+        classics: { year: { $lt: 1970 } },
+        ownedBy: function(ownerId) {
+          return { ownerId: ownerId };
+        },
+        newest: function() {
+          return this.orderBy('year', 'desc');
+        }
+      }
+    });
+
+    env.tracker.on('query', function(query) {
+      queries.push(query);
+
+      query.response(/count/.test(query.sql) ? [{ count: 2 }] :
+          [{ movieId: 1, ownerId: 3, year: 1968, deleted: 0 }]);
+    });
+  });
+
+  afterEach(function() {
+    env.tracker.removeAllListeners('query');
+  });
+
+  it('rejects scopes which are not functions or query objects', function() {
+    env.getTestModelClass.bind(null, {
+      _scopes: { classics: 'year < 1970' }
+    }).should.throw(TypeError);
+  });
+
+  it('throws for unknown scopes', function() {
+    TestModel.query().scope.bind(TestModel.query(), 'recent')
+    .should.throw(Error);
+  });
+
+  it('combines scopes and where clauses', function() {
+    return TestModel.query()
+    .scope('classics')
+    .scope('ownedBy', 3)
+    .where('year', 1968)
+    .all()
+    .then(function(movies) {
+      movies[0].should.be.an.instanceof(TestModel);
+      queries[0].sql.should.equal('select * from `TestModel` where ' +
+          '(`year` < ?) and (`ownerId` = ?) and (`year` = ?) and ' +
+          '`deleted` = ? order by `movieId` asc limit ?');
+      queries[0].bindings.should.deep.equal([1970, 3, 1968, 0, 100]);
+    });
+  });
+
+  it('orders, limits and gets the first row', function() {
+    return TestModel.scope('newest')
+    .orderBy('movieId')
+    .offset(10)
+    .withDeleted()
+    .first()
+    .then(function(movie) {
+      movie.year.should.equal(1968);
+      queries[0].sql.should.equal('select * from `TestModel` order by ' +
+          '`year` desc, `movieId` asc limit ? offset ?');
+      queries[0].bindings.should.deep.equal([1, 10]);
+    });
+  });
+
+  it('counts without the order or limit', function() {
+    return TestModel.query().scope('newest').limit(5).scope('classics')
+    .count()
+    .then(function(count) {
+      count.should.equal(2);
+      queries[0].sql.should.equal('select count(*) as `count` from ' +
+          '`TestModel` where `year` < ? and `deleted` = ?');
+    });
+  });
+
+  it('selects fields and aggregates by group', function() {
+    return TestModel.query().select('year').scope('classics').first()
+    .then(function() {
+      return TestModel.query().groupBy('ownerId').max('year');
+    })
+    .then(function() {
+      queries[0].sql.should.equal('select `movieId`, `year` from ' +
+          '`TestModel` where `year` < ? and `deleted` = ? order by ' +
+          '`movieId` asc limit ?');
+      queries[1].sql.should.equal('select `ownerId`, max(`year`) as `max` ' +
+          'from `TestModel` where `deleted` = ? group by `ownerId` order by ' +
+          '`ownerId` asc');
+    });
+  });
+
+  it('hands over the knex builder', function() {
+    return TestModel.query()
+    .where({ ownerId: 3 })
+    .modify(function(builder) {
+      builder.whereRaw('`year` % 10 = 0');
+    })
+    .all()
+    .then(function() {
+      queries[0].sql.should.contain('where `ownerId` = ? and `deleted` = ? ' +
+          'and `year` % 10 = 0');
+    });
+  });
+});
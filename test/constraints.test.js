@@ -0,0 +1,67 @@
+/**
+ * Test the field constraints.
+ */
+
+var expect = require('chai').should(),
+  _ = require('lodash'),
+  constraints = require('../lib/constraints.js');
+
+describe('the field constraints', function() {
+  describe('.checkDefinition()', function() {
+    it('rejects malformed constraints', function() {
+      _.each([
+        { min: '1' },
+        { maxLength: -1 },
+        { minLength: 1.5 },
+        { pattern: '^a' },
+        { oneOf: [] },
+        { unique: 'yes' }
+      ], function(def) {
+        constraints.checkDefinition.bind(null, def, 'title', 'Movie')
+        .should.throw(TypeError);
+      });
+
+      constraints.checkDefinition({ min: new Date(0), maxLength: 0,
+          pattern: /a/, oneOf: ['a'], unique: true }, 'title', 'Movie');
+    });
+  });
+
+  describe('.violations()', function() {
+    function rules(def, value) {
+      return _.pluck(constraints.violations(def, 'field', value), 'rule');
+    }
+
+    it('checks ranges of numbers and dates', function() {
+      rules({ min: 1, max: 10 }, 0).should.deep.equal(['min']);
+      rules({ min: 1, max: 10 }, 10).should.deep.equal([]);
+      rules({ max: new Date(0) }, new Date(1)).should.deep.equal(['max']);
+    });
+
+    it('checks lengths of strings and arrays', function() {
+      rules({ minLength: 2, maxLength: 3 }, 'a')
+      .should.deep.equal(['minLength']);
+      rules({ minLength: 2, maxLength: 3 }, [1, 2, 3, 4])
+      .should.deep.equal(['maxLength']);
+      rules({ maxLength: 1 }, 100).should.deep.equal([]);
+    });
+
+    it('checks patterns and allowed values', function() {
+      var def = { pattern: /^[a-z]+$/g, oneOf: ['abc', 'def'] };
+
+      rules(def, 'abc').should.deep.equal([]);
+      rules(def, 'abc').should.deep.equal([]);
+      rules(def, 'ABC').should.deep.equal(['pattern', 'oneOf']);
+    });
+
+    it('describes each violation', function() {
+      constraints.violations({ min: 1888 }, 'year', 1850)[0]
+      .should.deep.equal({
+        field: 'year',
+        rule: 'min',
+        expected: 1888,
+        actual: 1850,
+        message: 'Field year must be at least 1888 but is 1850'
+      });
+    });
+  });
+});
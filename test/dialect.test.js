@@ -0,0 +1,50 @@
+/**
+ * Test the dialect helpers.
+ */
+
+var expect = require('chai').should(),
+  dialect = require('../lib/dialect.js');
+
+describe('the dialect helpers', function() {
+  describe('.rawRows()', function() {
+    var rows = [{ id: 1 }];
+
+    it('takes the rows from the result of every driver', function() {
+      dialect.rawRows('mysql', [rows, [{ name: 'id' }]]).should.equal(rows);
+      dialect.rawRows('postgresql', { rows: rows, rowCount: 1 })
+      .should.equal(rows);
+      dialect.rawRows('sqlite3', rows).should.equal(rows);
+    });
+
+    it('passes on results which hold no rows', function() {
+      var result = { affectedRows: 2 };
+
+      dialect.rawRows('mysql', result).should.equal(result);
+      (dialect.rawRows('postgresql', undefined) === undefined)
+      .should.equal(true);
+    });
+  });
+
+  describe('.namedBindings()', function() {
+    it('replaces named bindings with positional ones', function() {
+      dialect.namedBindings('select * from Movie where year > :year and ' +
+          'id in (:ids) and title <> :year', { year: 1990, ids: [1, 2] })
+      .should.deep.equal({
+        sql: 'select * from Movie where year > ? and id in (?, ?) and ' +
+            'title <> ?',
+        bindings: [1990, 1, 2, 1990]
+      });
+    });
+
+    it('skips quoted strings, casts and escaped names', function() {
+      dialect.namedBindings('select \'a :b\', id::text, \\:c from Movie',
+          {}).sql
+      .should.equal('select \'a :b\', id::text, :c from Movie');
+    });
+
+    it('requires a value for every name', function() {
+      dialect.namedBindings.bind(null, 'select :missing', {})
+      .should.throw('Missing value for named binding :missing');
+    });
+  });
+});
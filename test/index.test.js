@@ -6,14 +6,45 @@ var expect = require('chai').expect,
   mockery = require('mockery');
 
 describe('the library object', function() {
+  var bound = {},
+    registry = { Movie: 'movie model' };
+
+  /**
+   * Stand in for an instance of knex, which connect() destroys when the
+   * connection is replaced.
+   */
+  function stubKnex() {
+    return { destroy: function() {} };
+  }
+
   before(function() {
     mockery.enable();
 
-    // ignore the model module
-    mockery.registerMock('./lib/model.js', function() { });
+    // stand in for the model module, recording the knex it is bound to
+    mockery.registerMock('./lib/model.js', function() {
+      return {
+        setConnection: function(name, primary, replicas) {
+          bound[name] = { primary: primary, replicas: replicas };
+        },
+        removeConnection: function(name) {
+          delete bound[name];
+        },
+        model: function(name) {
+          return registry[name];
+        },
+        models: function() {
+          return registry;
+        }
+      };
+    });
 
     mockery.registerAllowable('../index.js');
 
+    // modules loaded by the library object itself
+    mockery.registerAllowables(['q', './lib/schema.js', './lib/errors.js',
+        './lib/connection.js', './lib/types.js', 'check-types', 'lodash',
+        'fs', 'path', 'util', 'url']);
+
     // we will be mocking out knex differently for different tests, don't need
     // to be warned about it
     mockery.warnOnReplace(false);
@@ -50,6 +81,8 @@ describe('the library object', function() {
 
     mockery.registerMock('knex', function(config) {
       host = config.connection.host;
+
+      return stubKnex();
     });
 
     lib.connect({
@@ -70,6 +103,8 @@ describe('the library object', function() {
 
     mockery.registerMock('knex', function(config) {
       port = config.connection.port;
+
+      return stubKnex();
     });
 
     lib.connect({
@@ -90,6 +125,8 @@ describe('the library object', function() {
 
     mockery.registerMock('knex', function() {
       loadedKnex = true;
+
+      return stubKnex();
     });
 
     lib.connect({
@@ -106,35 +143,172 @@ describe('the library object', function() {
     var lib = require('../index.js'),
       customKnex = 'custom';
 
-    mockery.registerMock('./lib/model.js', function(knex) {
-      expect(knex).to.equal(customKnex);
+    lib.connect({
+      dialect: 'mysql',
+      user: 'user',
+      password: 'password',
+      database: 'database',
 
-      done();
+      knex: customKnex
+    });
+
+    expect(lib.getKnex()).to.equal(customKnex);
+    expect(bound['default'].primary).to.equal(customKnex);
+  });
+
+  it('connects named connections with read replicas', function() {
+    var lib = require('../index.js'),
+      hosts = [];
+
+    mockery.registerMock('knex', function(config) {
+      hosts.push(config.connection.host);
+
+      return config.connection.host;
     });
 
     lib.connect({
+      name: 'catalog',
       dialect: 'mysql',
       user: 'user',
       password: 'password',
       database: 'database',
+      host: 'primary',
+      replicas: [{ host: 'replica' }]
+    });
 
-      knex: customKnex
+    expect(hosts).to.deep.equal(['primary', 'replica']);
+    expect(lib.getKnex('catalog')).to.equal('primary');
+    expect(bound.catalog).to.deep.equal({
+      primary: 'primary',
+      replicas: ['replica']
     });
 
-    mockery.deregisterMock('./lib/model.js');
+    mockery.deregisterMock('knex');
   });
 
-  it('will not export Model() before connecting', function() {
+  it('runs transactions through the connected knex object', function() {
     var lib = require('../index.js'),
-      caughtError;
+      received = null;
 
-    try {
-      lib.Model();
-    } catch (err) {
-      caughtError = err;
-    } finally {
-      expect(caughtError instanceof Error).to.equal(true);
+    lib.connect({
+      knex: {
+        transaction: function(container) {
+          return container('trx');
+        }
+      }
+    });
+
+    return lib.transaction(function(trx) {
+      received = trx;
+
+      return 'result';
+    })
+    .then(function(result) {
+      expect(received).to.equal('trx');
+      expect(result).to.equal('result');
+    });
+  });
+
+  it('rejects the transaction when its function throws', function() {
+    var lib = require('../index.js');
+
+    lib.connect({
+      knex: {
+        transaction: function(container) {
+          return container('trx');
+        }
+      }
+    });
+
+    return lib.transaction(function() {
+      throw new Error('failed');
+    })
+    .then(function() {
+      throw new Error('expected transaction() to reject');
+    }, function(err) {
+      expect(err.message).to.equal('failed');
+    });
+  });
+
+  it('destroys the pools it created on disconnect()', function() {
+    var lib = require('../index.js'),
+      destroyed = [];
+
+    function fakeKnex(name) {
+      return {
+        destroy: function() {
+          destroyed.push(name);
+        }
+      };
     }
+
+    mockery.registerMock('knex', function(config) {
+      return fakeKnex(config.connection.host);
+    });
+
+    lib.connect({
+      name: 'reports',
+      url: 'mysql://user@primary/reports',
+      replicas: [{ host: 'replica' }, { knex: fakeKnex('passed in') }]
+    });
+
+    mockery.deregisterMock('knex');
+
+    return lib.disconnect('reports').then(function() {
+      expect(destroyed).to.deep.equal(['primary', 'replica']);
+      expect(bound.reports).to.equal(undefined);
+      expect(lib.getKnex('reports')).to.equal(null);
+    });
+  });
+
+  it('destroys the pools it replaces when connecting a name again',
+      function() {
+    var lib = require('../index.js'),
+      destroyed = [];
+
+    mockery.registerMock('knex', function(config) {
+      return {
+        host: config.connection.host,
+        destroy: function() {
+          destroyed.push(config.connection.host);
+        }
+      };
+    });
+
+    lib.connect({ name: 'archive', url: 'mysql://user@old/archive' });
+    lib.connect({ name: 'archive', url: 'mysql://user@new/archive' });
+
+    mockery.deregisterMock('knex');
+
+    expect(destroyed).to.deep.equal(['old']);
+    expect(lib.getKnex('archive').host).to.equal('new');
+
+    return lib.disconnect('archive').then(function() {
+      expect(destroyed).to.deep.equal(['old', 'new']);
+    });
+  });
+
+  it('looks up registered models by name', function() {
+    var lib = require('../index.js');
+
+    expect(lib.model('Movie')).to.equal('movie model');
+    expect(lib.models()).to.deep.equal({ Movie: 'movie model' });
+  });
+
+  it('registers field types with their column types', function() {
+    var lib = require('../index.js');
+
+    lib.registerType('tags', {
+      validate: function(value) {
+        return Array.isArray(value);
+      },
+      column: { type: 'text' }
+    });
+
+    expect(lib.schema.types.default.tags).to.deep.equal({ type: 'text' });
+    expect(lib.registerType.bind(null, 'tags', {})).to.throw(TypeError);
+
+    delete lib.schema.types.default.tags;
   });
 
   after(function() {
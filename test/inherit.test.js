@@ -0,0 +1,78 @@
+/**
+ * Test merging definitions for extend() and mixins.
+ */
+
+var expect = require('chai').should(),
+  inherit = require('../lib/inherit.js');
+
+describe('merging definitions', function() {
+  function first() {}
+  function second() {}
+
+  var Audited = {
+    createdBy: { type: 'positive' },
+    _statics: { audited: first },
+    _hooks: { beforeInsert: first }
+  };
+
+  it('leaves definitions without mixins alone', function() {
+    var definitions = { id: { type: 'positive' } };
+
+    inherit.merge(null, definitions, 'Movie').should.equal(definitions);
+  });
+
+  it('lays own definitions over mixins over inherited ones', function() {
+    var merged = inherit.merge({
+      id: { type: 'positive', primaryId: true },
+      deleted: { type: 'integer' },
+      title: { type: 'string' },
+      _softDelete: { column: 'deleted' },
+      _table: 'Media',
+      _hooks: { beforeInsert: [second] }
+    }, {
+      title: { type: 'string', maxLength: 100 },
+      deleted: null,
+      _softDelete: false,
+      _statics: { audited: second },
+      _hooks: { beforeInsert: second },
+      _mixins: [Audited]
+    }, 'Movie');
+
+    merged.should.deep.equal({
+      id: { type: 'positive', primaryId: true },
+      title: { type: 'string', maxLength: 100 },
+      createdBy: { type: 'positive' },
+      _softDelete: false,
+      _statics: { audited: second },
+      _hooks: { beforeInsert: [second, first, second] }
+    });
+  });
+
+  it('does not change the definitions it merges', function() {
+    inherit.merge({ _hooks: { beforeInsert: [second] } },
+        { _mixins: [Audited] }, 'Movie');
+
+    Audited._hooks.beforeInsert.should.equal(first);
+  });
+
+  it('throws when mixins conflict', function() {
+    inherit.merge.bind(null, null, {
+      _mixins: [Audited, { _statics: { audited: second } }]
+    }, 'Movie').should.throw(Error, /conflict on _statics.audited/);
+
+    inherit.merge.bind(null, null, {
+      _mixins: [Audited, { createdBy: { type: 'string' } }]
+    }, 'Movie').should.throw(Error, /conflict on createdBy/);
+
+    inherit.merge.bind(null, null, {
+      _mixins: [Audited, { createdBy: { type: 'positive' } }]
+    }, 'Movie').should.not.throw();
+  });
+
+  it('rejects mixins which are not definitions', function() {
+    inherit.merge.bind(null, null, { _mixins: Audited }, 'Movie')
+    .should.throw(TypeError);
+    inherit.merge.bind(null, null, { _mixins: ['Audited'] }, 'Movie')
+    .should.throw(TypeError);
+  });
+});
@@ -2,7 +2,8 @@
  * Test an instance of a Model class.
  */
 var expect = require('chai').should(),
-  env = require('./env');
+  env = require('./env'),
+  StaleRecordError = require('../lib/errors.js').StaleRecordError;
 
 describe('a Model instance', function() {
   before(env.setup);
@@ -86,4 +87,784 @@ describe('an instantiated Model object', function() {
       promise.catch.should.be.a('function');
     });
   });
+
+  describe('with a composite primary key', function() {
+    var Membership, queries;
+
+    before(function() {
+      Membership = env.getTestModelClass({
+        tenantId: {
+          type: 'positive',
+          primaryId: true
+        },
+        userId: {
+          type: 'positive',
+          primaryId: true
+        },
+        role: {
+          type: 'string'
+        }
+      });
+    });
+
+    beforeEach(function() {
+      queries = [];
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        query.response(query.method === 'select' ?
+            [{ tenantId: 1, userId: 2, role: 'admin' }] : [0]);
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('fetches the inserted row by every key field', function() {
+      return new Membership({ tenantId: 1, userId: 2, role: 'admin' }).insert()
+      .then(function(inserted) {
+        queries[1].sql.should.equal('select * from `TestModel` where ' +
+            '`tenantId` = ? and `userId` = ?');
+        queries[1].bindings.should.deep.equal([1, 2]);
+        inserted.role.should.equal('admin');
+      });
+    });
+
+    it('updates and deletes by every key field', function() {
+      var membership = new Membership({ tenantId: 1, userId: 2, role: 'a' });
+
+      return membership.update({ role: 'b' }).then(function() {
+        return membership.delete();
+      })
+      .then(function() {
+        queries[0].sql.should.contain('where `tenantId` = ? and ' +
+            '`userId` = ?');
+        queries[0].bindings.should.contain('b');
+        queries[1].sql.should.equal('delete from `TestModel` where ' +
+            '`tenantId` = ? and `userId` = ?');
+      });
+    });
+
+    it('gets one row by a tuple of key values', function() {
+      Membership.getOne.bind(null, [1]).should.throw(TypeError);
+
+      return Membership.getOne([1, 2]).then(function(membership) {
+        queries[0].bindings.should.deep.equal([1, 2]);
+        membership.userId.should.equal(2);
+      });
+    });
+
+    it('orders get() results by every key field', function() {
+      return Membership.get().then(function() {
+        queries[0].sql.should.contain('order by `tenantId` asc, `userId` asc');
+      });
+    });
+  });
+
+  describe('.update() without a primary key', function() {
+    it('rejects with a clear error', function() {
+      return instance.update({}).then(function() {
+        throw new Error('expected update() to reject');
+      }, function(err) {
+        err.message.should.equal('Cannot update model TestModel without ' +
+            'primary key definition');
+      });
+    });
+  });
+
+  describe('with options.transacting', function() {
+    var NewModel;
+
+    before(function() {
+      NewModel = env.getTestModelClass({
+        id: {
+          type: 'positive',
+          primaryId: true
+        },
+        name: {
+          type: 'string',
+          nullable: true
+        }
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('runs insert, update and delete inside the transaction', function() {
+      var statements = [];
+
+      env.tracker.on('query', function(query) {
+        statements.push(query.sql);
+
+        query.response(query.method === 'select' ? [{ id: 1 }] : [1]);
+      });
+
+      return env.db.transaction(function(trx) {
+        var options = { transacting: trx };
+
+        return new NewModel({ id: 1 }).insert(options)
+        .then(function(inserted) {
+          return inserted.update({ name: 'updated' }, options);
+        })
+        .then(function(updated) {
+          return new NewModel(updated).delete(options);
+        });
+      })
+      .then(function() {
+        statements[0].should.equal('BEGIN;');
+        statements[statements.length - 1].should.equal('COMMIT;');
+        statements.length.should.equal(6);
+      });
+    });
+
+    it('rolls back when a call in the transaction fails', function() {
+      var statements = [];
+
+      env.tracker.on('query', function(query) {
+        statements.push(query.sql);
+
+        query.response([]);
+      });
+
+      return env.db.transaction(function(trx) {
+        return NewModel.get({}, { transacting: trx }).then(function() {
+          throw new Error('failed');
+        });
+      })
+      .then(function() {
+        throw new Error('expected the transaction to reject');
+      }, function(err) {
+        err.message.should.equal('failed');
+        statements[statements.length - 1].should.equal('ROLLBACK;');
+      });
+    });
+  });
+
+  describe('dirty tracking', function() {
+    var Movie, queries;
+
+    before(function() {
+      Movie = env.getTestModelClass({
+        id: {
+          type: 'positive',
+          primaryId: true,
+          autoIncrement: true
+        },
+        title: {
+          type: 'string'
+        },
+        year: {
+          type: 'positive',
+          nullable: true
+        }
+      });
+    });
+
+    beforeEach(function() {
+      queries = [];
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        query.response(query.method === 'select' ?
+            [{ id: 1, title: 'Alien', year: 1979 }] : [1]);
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('reports the fields changed since the instance was loaded', function() {
+      return Movie.getOne({ id: 1 }).then(function(movie) {
+        movie.isDirty().should.equal(false);
+        movie.changedFields().should.deep.equal([]);
+
+        movie.title = 'Aliens';
+
+        movie.isDirty().should.equal(true);
+        movie.isDirty('title').should.equal(true);
+        movie.isDirty('year').should.equal(false);
+        movie.changedFields().should.deep.equal(['title']);
+        movie.original('title').should.equal('Alien');
+        Object.keys(movie).should.not.contain('_original');
+      });
+    });
+
+    it('treats every field of a new instance as changed', function() {
+      var movie = new Movie({ title: 'Alien' });
+
+      movie.changedFields().should.deep.equal(['title']);
+      (movie.original('title') === undefined).should.equal(true);
+    });
+
+    it('updates only the changed columns', function() {
+      return Movie.getOne({ id: 1 }).then(function(movie) {
+        return movie.update({ title: 'Aliens', year: 1979 });
+      })
+      .then(function(updated) {
+        queries[1].sql.should.equal('update `TestModel` set `title` = ? ' +
+            'where `id` = ?');
+        queries[1].bindings.should.deep.equal(['Aliens', 1]);
+        updated.isDirty().should.equal(false);
+      });
+    });
+
+    it('saves a new instance with an insert', function() {
+      var movie = new Movie({ title: 'Alien', year: 1979 });
+
+      return movie.save().then(function(saved) {
+        saved.should.equal(movie);
+        queries[0].method.should.equal('insert');
+        movie.id.should.equal(1);
+        movie.isDirty().should.equal(false);
+      });
+    });
+
+    it('saves a loaded instance by writing its changes', function() {
+      return Movie.getOne({ id: 1 }).then(function(movie) {
+        return movie.save().then(function() {
+          // nothing changed, so nothing is written
+          queries.length.should.equal(1);
+
+          movie.year = 1986;
+
+          return movie.save();
+        })
+        .then(function() {
+          queries[1].sql.should.equal('update `TestModel` set `year` = ? ' +
+              'where `id` = ?');
+          movie.isDirty().should.equal(false);
+          movie.original('year').should.equal(1986);
+        });
+      });
+    });
+
+    it('reloads the values in the database', function() {
+      return Movie.getOne({ id: 1 }).then(function(movie) {
+        movie.title = 'Unsaved';
+
+        return movie.reload();
+      })
+      .then(function(movie) {
+        queries[1].bindings.should.deep.equal([1]);
+        movie.title.should.equal('Alien');
+        movie.isDirty().should.equal(false);
+      });
+    });
+
+    it('rejects reloading a row which no longer exists', function() {
+      env.tracker.removeAllListeners('query');
+      env.tracker.on('query', function(query) {
+        query.response([]);
+      });
+
+      return new Movie({ id: 2, title: 'Gone' }).reload().then(function() {
+        throw new Error('expected reload() to reject');
+      }, function(err) {
+        err.message.should.contain('row not found');
+      });
+    });
+  });
+});
+
+describe('Model optimistic locking', function() {
+  var Movie, queries, affected;
+
+  before(env.setup);
+  after(env.teardown);
+
+  before(function() {
+    Movie = env.getTestModelClass({
+      id: {
+        type: 'positive',
+        primaryId: true
+      },
+      title: {
+        type: 'string'
+      },
+      version: {
+        type: 'positive',
+        version: true
+      }
+    });
+  });
+
+  beforeEach(function() {
+    queries = [];
+    affected = 1;
+
+    env.tracker.on('query', function(query) {
+      queries.push(query);
+
+      query.response(query.method === 'select' ?
+          [{ id: 1, title: 'Alien', version: 3 }] : affected);
+    });
+  });
+
+  afterEach(function() {
+    env.tracker.removeAllListeners('query');
+  });
+
+  it('requires a single integer version field', function() {
+    env.getTestModelClass.bind(null, {
+      version: { type: 'string', version: true }
+    }).should.throw(TypeError);
+    env.getTestModelClass.bind(null, {
+      a: { type: 'integer', version: true },
+      b: { type: 'integer', version: true }
+    }).should.throw(TypeError);
+  });
+
+  it('inserts new records at version 1', function() {
+    return new Movie({ id: 1, title: 'Alien' }).insert().then(function() {
+      queries[0].bindings.should.deep.equal([1, 'Alien', 1]);
+    });
+  });
+
+  it('updates against the loaded version and increments it', function() {
+    return Movie.getOne({ id: 1 }).then(function(movie) {
+      return movie.update({ title: 'Aliens' });
+    })
+    .then(function(updated) {
+      queries[1].sql.should.equal('update `TestModel` set `title` = ?, ' +
+          '`version` = `version` + 1 where `id` = ? and `version` = ?');
+      queries[1].bindings.should.deep.equal(['Aliens', 1, 3]);
+      updated.version.should.equal(4);
+    });
+  });
+
+  it('rejects a stale update with a StaleRecordError', function() {
+    return Movie.getOne({ id: 1 }).then(function(movie) {
+      affected = 0;
+      movie.title = 'Aliens';
+
+      return movie.save();
+    })
+    .then(function() {
+      throw new Error('expected save() to reject');
+    }, function(err) {
+      err.should.be.an.instanceof(StaleRecordError);
+      err.conditions.should.deep.equal({ id: 1, version: 3 });
+    });
+  });
+
+  it('deletes against the loaded version', function() {
+    return Movie.getOne({ id: 1 }).then(function(movie) {
+      affected = 0;
+
+      return movie.delete();
+    })
+    .then(function() {
+      throw new Error('expected delete() to reject');
+    }, function(err) {
+      queries[1].sql.should.equal('delete from `TestModel` where `id` = ? ' +
+          'and `version` = ?');
+      err.should.be.an.instanceof(StaleRecordError);
+    });
+  });
+});
+
+describe('Model timestamps', function() {
+  var Post, queries, clock;
+
+  before(env.setup);
+  after(env.teardown);
+
+  before(function() {
+    clock = new Date(2020, 0, 1);
+
+    Post = env.getTestModelClass({
+      id: {
+        type: 'positive',
+        primaryId: true
+      },
+      title: {
+        type: 'string'
+      },
+      created_at: {
+        type: 'date'
+      },
+      updated_at: {
+        type: 'date'
+      },
+      _timestamps: {
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        now: function() {
+          return clock;
+        }
+      }
+    });
+  });
+
+  beforeEach(function() {
+    queries = [];
+
+    env.tracker.on('query', function(query) {
+      queries.push(query);
+
+      query.response(query.method === 'select' ? [{
+        id: 1,
+        title: 'a',
+        created_at: new Date(2019, 0, 1),
+        updated_at: new Date(2019, 0, 1)
+      }] : 1);
+    });
+  });
+
+  afterEach(function() {
+    env.tracker.removeAllListeners('query');
+  });
+
+  it('requires the timestamp columns to be defined', function() {
+    env.getTestModelClass.bind(null, {
+      title: { type: 'string' },
+      _timestamps: true
+    }).should.throw(TypeError);
+  });
+
+  it('fills both columns on insert', function() {
+    return new Post({ id: 1, title: 'a' }).insert().then(function() {
+      queries[0].bindings.should.deep.equal([clock, 1, 'a', clock]);
+    });
+  });
+
+  it('refreshes the updated column on update', function() {
+    return Post.getOne({ id: 1 }).then(function(post) {
+      return post.update({ title: 'b' });
+    })
+    .then(function(post) {
+      queries[1].sql.should.equal('update `TestModel` set `title` = ?, ' +
+          '`updated_at` = ? where `id` = ?');
+      queries[1].bindings.should.deep.equal(['b', clock, 1]);
+      post.updated_at.should.equal(clock);
+      post.isDirty().should.equal(false);
+    });
+  });
+
+  it('refreshes the updated column on bulk updates', function() {
+    return Post.updateWhere({ title: 'a' }, { title: 'b' }).then(function() {
+      queries[0].sql.should.equal('update `TestModel` set `title` = ?, ' +
+          '`updated_at` = ? where `title` = ?');
+    });
+  });
+
+  it('keeps the created column when upserting', function() {
+    return Post.upsert({ id: 1, title: 'a' }).then(function() {
+      queries[0].sql.should.contain('on duplicate key update ' +
+          '`title` = values(`title`), `updated_at` = values(`updated_at`)');
+    });
+  });
+});
+
+describe('Model serialization', function() {
+  var Model, Company, User;
+
+  before(env.setup);
+  after(env.teardown);
+
+  before(function() {
+    Model = env.getGenerator();
+
+    Company = new Model('Company', {
+      companyId: {
+        type: 'positive',
+        primaryId: true
+      },
+      name: {
+        type: 'string'
+      },
+      taxId: {
+        type: 'string',
+        hidden: true
+      }
+    });
+
+    User = new Model('User', {
+      userId: {
+        type: 'positive',
+        primaryId: true
+      },
+      firstName: {
+        type: 'string'
+      },
+      lastName: {
+        type: 'string'
+      },
+      companyId: {
+        type: 'positive'
+      },
+      passwordHash: {
+        type: 'string',
+        hidden: true
+      },
+      _computed: {
+        fullName: function() {
+          return this.firstName + ' ' + this.lastName;
+        }
+      },
+      _relations: {
+        company: {
+          type: 'belongsTo',
+          model: Company,
+          foreignKey: 'companyId'
+        }
+      }
+    });
+  });
+
+  function makeUser() {
+    var user = new User({
+      userId: 1,
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      companyId: 2,
+      passwordHash: 'secret'
+    });
+
+    user.company = new Company({ companyId: 2, name: 'Engines', taxId: 'x' });
+
+    return user;
+  }
+
+  it('rejects computed fields which are not functions or clash', function() {
+    Model.bind(null, 'Bad', {
+      _computed: { label: 'label' }
+    }).should.throw(TypeError);
+    Model.bind(null, 'Bad', {
+      name: { type: 'string' },
+      _computed: { name: function() {} }
+    }).should.throw(Error);
+    Model.bind(null, 'Bad', {
+      _computed: { save: function() {} }
+    }).should.throw(Error);
+  });
+
+  it('reads computed fields like fields', function() {
+    makeUser().fullName.should.equal('Ada Lovelace');
+  });
+
+  it('leaves hidden fields out and serializes relations', function() {
+    JSON.parse(JSON.stringify(makeUser())).should.deep.equal({
+      userId: 1,
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      companyId: 2,
+      fullName: 'Ada Lovelace',
+      company: { companyId: 2, name: 'Engines' }
+    });
+  });
+
+  it('keeps only or leaves out the fields asked for', function() {
+    var user = makeUser();
+
+    user.toJSON({ only: ['userId', 'passwordHash'] }).should.deep.equal({
+      userId: 1,
+      passwordHash: 'secret'
+    });
+
+    user.toJSON({
+      except: ['firstName', 'lastName', 'companyId', 'fullName'],
+      relations: { company: { only: ['name'] } }
+    })
+    .should.deep.equal({
+      userId: 1,
+      company: { name: 'Engines' }
+    });
+  });
+
+  it('does not insert computed fields', function(done) {
+    env.tracker.once('query', function(query) {
+      query.sql.should.not.contain('fullName');
+
+      done();
+    });
+
+    makeUser().insert();
+  });
+});
+
+describe('Model lifecycle hooks', function() {
+  var calls;
+
+  before(env.setup);
+  after(env.teardown);
+
+  beforeEach(function() {
+    calls = [];
+  });
+
+  afterEach(function() {
+    env.tracker.removeAllListeners('query');
+  });
+
+  /**
+   * Get a model which records each hook call, with the given hooks added.
+   */
+  function getHookedModel(hooks) {
+    var recorded = {};
+
+    ['beforeInsert', 'afterInsert', 'beforeUpdate', 'afterUpdate',
+        'beforeDelete', 'afterDelete', 'afterFetch'].forEach(function(name) {
+      recorded[name] = [function() {
+        calls.push(name);
+      }].concat(hooks && hooks[name] || []);
+    });
+
+    return env.getTestModelClass({
+      id: {
+        type: 'positive',
+        primaryId: true
+      },
+      name: {
+        type: 'string',
+        nullable: true
+      },
+      _hooks: recorded
+    });
+  }
+
+  /**
+   * Respond to every query, recording its method.
+   */
+  function respond() {
+    env.tracker.on('query', function(query) {
+      calls.push(query.method);
+
+      query.response(query.method === 'select' ?
+          [{ id: 1, name: 'fetched' }] : [1]);
+    });
+  }
+
+  it('rejects unknown hooks and non-function hooks', function() {
+    env.getTestModelClass.bind(null, {
+      _hooks: { beforeSave: function() {} }
+    }).should.throw(Error);
+
+    env.getTestModelClass.bind(null, {
+      _hooks: { beforeInsert: 'stamp' }
+    }).should.throw(TypeError);
+  });
+
+  it('runs insert hooks around the insert', function() {
+    var Hooked = getHookedModel();
+
+    respond();
+
+    return new Hooked({ id: 1 }).insert().then(function(inserted) {
+      inserted.name.should.equal('fetched');
+      calls.should.deep.equal(['beforeInsert', 'insert', 'select',
+          'afterFetch', 'afterInsert']);
+    });
+  });
+
+  it('lets before-hooks change the payload', function() {
+    var Hooked = getHookedModel({
+      beforeUpdate: function(instance, changes, knex) {
+        knex.should.equal(env.db);
+        changes.name = 'stamped';
+      }
+    }),
+      bindings;
+
+    env.tracker.on('query', function(query) {
+      bindings = query.bindings;
+      query.response(1);
+    });
+
+    return new Hooked({ id: 1 }).update({ name: 'given' })
+    .then(function(updated) {
+      updated.name.should.equal('stamped');
+      bindings.should.contain('stamped');
+      calls.should.deep.equal(['beforeUpdate', 'afterUpdate']);
+    });
+  });
+
+  it('aborts the operation when a before-hook rejects', function() {
+    var Hooked = getHookedModel({
+      beforeDelete: function() {
+        throw new Error('not allowed');
+      }
+    });
+
+    respond();
+
+    return new Hooked({ id: 1 }).delete().then(function() {
+      throw new Error('expected delete() to reject');
+    }, function(err) {
+      err.message.should.equal('not allowed');
+      calls.should.deep.equal(['beforeDelete']);
+    });
+  });
+
+  it('waits for promises returned by hooks', function() {
+    var Hooked = getHookedModel({
+      beforeInsert: function(instance) {
+        return require('q').delay(5).then(function() {
+          instance.name = 'delayed';
+        });
+      }
+    }),
+      bindings;
+
+    env.tracker.on('query', function(query) {
+      bindings = bindings || query.bindings;
+      query.response(query.method === 'select' ? [{ id: 1 }] : [1]);
+    });
+
+    return new Hooked({ id: 1 }).insert().then(function() {
+      bindings.should.contain('delayed');
+    });
+  });
+
+  it('rejects inserts which fail asynchronous validation', function() {
+    var Unique = env.getTestModelClass({
+      name: {
+        type: 'string',
+        validate: function(name) {
+          return require('q')('Name ' + name + ' is taken');
+        }
+      }
+    });
+
+    respond();
+
+    return new Unique({ name: 'Alien' }).insert().then(function() {
+      throw new Error('expected insert() to reject');
+    }, function(err) {
+      err.name.should.equal('ValidationError');
+      err.errors[0].message.should.equal('Name Alien is taken');
+      calls.should.deep.equal([]);
+    });
+  });
+
+  it('runs deleteWhere hooks with the query', function() {
+    var Hooked = env.getTestModelClass({
+      id: {
+        type: 'positive'
+      },
+      _hooks: {
+        beforeDeleteWhere: function(query) {
+          query.id = 2;
+        },
+        afterDeleteWhere: function(query) {
+          calls.push('afterDeleteWhere ' + query.id);
+        }
+      }
+    });
+
+    env.tracker.on('query', function(query) {
+      query.bindings.should.deep.equal([2]);
+      query.response(1);
+    });
+
+    return Hooked.deleteWhere({ id: 1 }).then(function() {
+      calls.should.deep.equal(['afterDeleteWhere 2']);
+    });
+  });
 });
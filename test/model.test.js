@@ -3,6 +3,9 @@
  */
 
 var expect = require('chai').should(),
+  _ = require('lodash'),
+  knex = require('knex'),
+  mockKnex = require('mock-knex'),
   env = require('./env');
 
 describe('the Model generator', function() {
@@ -26,6 +29,83 @@ describe('the Model generator', function() {
 
     model.should.be.a('function');
   });
+
+  it('registers every model by its table name', function() {
+    var Model = env.getGenerator(),
+      movie = new Model('Movie', {});
+
+    Model.model('Movie').should.equal(movie);
+    Model.models().should.deep.equal({ Movie: movie });
+    Model.model.bind(null, 'Actor').should.throw(Error);
+    Model.bind(null, 'Movie', {}).should.throw(Error);
+  });
+
+  it('binds models defined before knex is given', function() {
+    var Model = require('../lib/model.js')(null),
+      Movie = new Model('Movie', {
+        id: { type: 'positive', primaryId: true }
+      });
+
+    Movie.get.bind(null, {}).should.throw('Need to run modeller.connect()');
+
+    Model.setKnex(env.db);
+
+    Movie.getKnex().should.equal(env.db);
+    Movie.get.bind(null, {}).should.not.throw();
+  });
+
+  it('routes reads to replicas and writes to the primary', function() {
+    var Model = require('../lib/model.js')(null),
+      reads = [];
+
+    function replica(table) {
+      reads.push(table);
+
+      return env.db(table);
+    }
+
+    var Movie = new Model('Movie', {
+      id: { type: 'positive', primaryId: true },
+      _connection: 'catalog'
+    });
+
+    Movie.get.bind(null, {}).should.throw('on connection catalog');
+
+    Model.setConnection('catalog', env.db, [replica]);
+
+    env.tracker.on('query', function(query) {
+      query.response(query.method === 'select' ? [{ id: 1 }] : [1]);
+    });
+
+    return Movie.get().then(function() {
+      return Movie.getOne({ id: 1 }, { primary: true });
+    })
+    .then(function() {
+      return new Movie({ id: 2 }).insert();
+    })
+    .then(function() {
+      // only get() was read from the replica; the insert was written to and
+      // read back from the primary
+      reads.should.deep.equal(['Movie']);
+      Movie.getKnex().should.equal(env.db);
+      env.tracker.removeAllListeners('query');
+    });
+  });
+
+  it('resolves relations to models named by table', function() {
+    var Model = env.getGenerator(),
+      Movie = new Model('Movie', {
+        id: { type: 'positive', primaryId: true },
+        _relations: {
+          reviews: { type: 'hasMany', model: 'Review', foreignKey: 'movieId' }
+        }
+      }),
+      Review = new Model('Review', {
+        movieId: { type: 'positive' }
+      });
+
+    Movie._relations.reviews.model().should.equal(Review);
+  });
 });
 
 describe('the Model class', function() {
@@ -101,6 +181,157 @@ describe('the Model class', function() {
     });
   });
 
+  describe('.validate()', function() {
+    var TestModel;
+
+    beforeEach(function() {
+      TestModel = env.getTestModelClass({
+        name: {
+          type: 'string'
+        },
+        year: {
+          type: 'number',
+          validate: function(year) {
+            return year > 1900 || 'Year must be after 1900';
+          }
+        },
+        slug: {
+          type: 'string',
+          nullable: true,
+          validate: function(slug) {
+            return require('q').delay(1).then(function() {
+              return slug !== 'taken';
+            });
+          }
+        }
+      });
+    });
+
+    it('reports every failing field', function() {
+      return TestModel.validate({ year: 1800, slug: 'taken' })
+      .then(function(report) {
+        report.valid.should.equal(false);
+        report.errors.should.deep.equal([{
+          field: 'name',
+          rule: 'required',
+          expected: 'string',
+          actual: undefined,
+          message: 'Missing required property name'
+        }, {
+          field: 'year',
+          rule: 'validate',
+          expected: 'valid value',
+          actual: 1800,
+          message: 'Year must be after 1900'
+        }, {
+          field: 'slug',
+          rule: 'validate',
+          expected: 'valid value',
+          actual: 'taken',
+          message: 'Value taken did not pass custom validation function ' +
+              'on field slug'
+        }]);
+      });
+    });
+
+    it('reports valid objects', function() {
+      return TestModel.validate({ name: 'Alien', year: 1979, slug: 'alien' })
+      .then(function(report) {
+        report.valid.should.equal(true);
+        report.errors.should.deep.equal([]);
+      });
+    });
+  });
+
+  describe('constructor validation', function() {
+    it('throws a ValidationError listing every failing field', function() {
+      var ValidationError = require('../lib/errors.js').ValidationError,
+        TestModel = env.getTestModelClass({
+          name: {
+            type: 'string'
+          },
+          year: {
+            type: 'number'
+          }
+        }),
+        caughtError;
+
+      try {
+        new TestModel({ year: 'soon' });
+      } catch (e) {
+        caughtError = e;
+      }
+
+      caughtError.should.be.an.instanceof(ValidationError);
+      caughtError.should.be.an.instanceof(TypeError);
+      caughtError.errors.length.should.equal(2);
+      caughtError.errors[1].rule.should.equal('type');
+      caughtError.errors[1].actual.should.equal('string');
+    });
+  });
+
+  describe('custom validate() functions', function() {
+    var TestModel, calls;
+
+    beforeEach(function() {
+      calls = 0;
+
+      TestModel = env.getTestModelClass({
+        id: {
+          type: 'positive',
+          primaryId: true
+        },
+        email: {
+          type: 'string',
+          validate: function(email) {
+            calls++;
+
+            return require('q')(email !== 'taken' ||
+                'Email ' + email + ' is taken');
+          }
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        query.response(query.method === 'select' ? [
+          { id: 1, email: 'a' }, { id: 2, email: 'b' }, { id: 3, email: 'c' }
+        ] : [1]);
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('are not run when building instances', function() {
+      new TestModel({ id: 4, email: 'taken' });
+
+      return TestModel.get().then(function(instances) {
+        instances.length.should.equal(3);
+        calls.should.equal(0);
+      });
+    });
+
+    it('are waited for by insertMany()', function() {
+      return TestModel.insertMany([{ id: 4, email: 'd' },
+          { id: 5, email: 'taken' }])
+      .then(function() {
+        throw new Error('Expected a ValidationError');
+      }, function(e) {
+        e.name.should.equal('ValidationError');
+        e.errors.should.deep.equal([{
+          row: 1,
+          field: 'email',
+          rule: 'validate',
+          expected: 'valid value',
+          actual: 'taken',
+          message: 'Email taken is taken'
+        }]);
+        calls.should.equal(2);
+      });
+    });
+  });
+
   describe('.get()', function() {
     it('is a static method', function() {
       var TestModel = env.getTestModelClass();
@@ -134,6 +365,29 @@ describe('the Model class', function() {
 
       TestModel.get();
     });
+
+    it('compiles query operators into the where clause', function(done) {
+      var TestModel = env.getTestModelClass({
+        year: {
+          type: 'number'
+        }
+      });
+
+      env.tracker.once('query', function(query) {
+        query.sql.should.contain('where `year` >= ? and `year` < ?');
+        query.bindings.should.contain(1990);
+
+        done();
+      });
+
+      TestModel.get({ year: { $gte: 1990, $lt: 2000 } });
+    });
+
+    it('rejects queries on undefined fields', function() {
+      var TestModel = env.getTestModelClass();
+
+      TestModel.get.bind(null, { year: 1990 }).should.throw(Error);
+    });
   });
 
   describe('.getOne()', function() {
@@ -184,7 +438,11 @@ describe('the Model class', function() {
     });
 
     it('produces a `delete` query', function(done) {
-      var TestModel = env.getTestModelClass();
+      var TestModel = env.getTestModelClass({
+        foo: {
+          type: 'string'
+        }
+      });
 
       env.tracker.once('query', function(query) {
         query.method.should.equal('del');
@@ -196,5 +454,1203 @@ describe('the Model class', function() {
         foo: 'bar'
       });
     });
+
+    it('rejects queries on undefined fields', function() {
+      var TestModel = env.getTestModelClass();
+
+      TestModel.deleteWhere.bind(null, { foo: 'bar' }).should.throw(Error);
+    });
+  });
+
+  describe('bulk writes', function() {
+    var TestModel, queries;
+
+    beforeEach(function() {
+      queries = [];
+
+      TestModel = env.getTestModelClass({
+        id: {
+          type: 'positive',
+          autoIncrement: true,
+          primaryId: true
+        },
+        name: {
+          type: 'string'
+        },
+        year: {
+          type: 'number',
+          nullable: true
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        if (query.method === 'select') {
+          query.response([{ id: 5, name: 'a' }, { id: 6, name: 'b' }]);
+        } else {
+          query.response([5]);
+        }
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    describe('.insertMany()', function() {
+      it('requires an array of values', function() {
+        TestModel.insertMany.bind(null, { name: 'a' }).should.throw(TypeError);
+        TestModel.insertMany.bind(null, [], { chunkSize: 0 })
+        .should.throw(TypeError);
+      });
+
+      it('validates every row before inserting', function() {
+        var caughtError;
+
+        try {
+          TestModel.insertMany([{ name: 'a' }, { year: 1 }, { name: 2 }]);
+        } catch (e) {
+          caughtError = e;
+        }
+
+        caughtError.name.should.equal('ValidationError');
+        caughtError.errors.length.should.equal(2);
+        caughtError.errors[0].row.should.equal(1);
+        caughtError.errors[1].row.should.equal(2);
+        queries.length.should.equal(0);
+      });
+
+      it('inserts in chunks and resolves with the row count', function() {
+        return TestModel.insertMany([
+          { id: 9, name: 'a' }, { name: 'b' }, { name: 'c' }
+        ], { chunkSize: 2 })
+        .then(function(count) {
+          count.should.equal(3);
+          queries.length.should.equal(2);
+          queries[0].sql.should.equal('insert into `TestModel` (`name`) ' +
+              'values (?), (?)');
+          queries[1].bindings.should.deep.equal(['c']);
+        });
+      });
+
+      it('keeps sqlite batches within its limits by default', function() {
+        var lite = knex({ client: 'sqlite3' }),
+          Track = require('../lib/model.js')(lite);
+
+        mockKnex.mock(lite);
+
+        return new Track('Track', TestModel._definitions).insertMany(
+            _.times(500, function(i) {
+          return { name: 'track ' + i, year: 2000 };
+        }))
+        .finally(function() {
+          mockKnex.unmock(lite);
+        })
+        .then(function(count) {
+          count.should.equal(500);
+          queries.length.should.equal(2);
+          queries[0].bindings.length.should.equal(998);
+          queries[1].bindings.should.deep.equal(['track 499', 2000]);
+        });
+      });
+
+      it('fetches inserted rows back by a unique field', function() {
+        var Model = env.getTestModelClass(_.extend({
+          slug: { type: 'string', nullable: true, unique: true }
+        }, TestModel._definitions));
+
+        return Model.insertMany([
+          { name: 'a', slug: 'a' }, { name: 'b', slug: 'b' }
+        ], { returning: true })
+        .then(function(instances) {
+          queries[1].sql.should.equal('select * from `TestModel` where ' +
+              '`slug` in (?, ?) order by `id` asc');
+          queries[1].bindings.should.deep.equal(['a', 'b']);
+          instances.length.should.equal(2);
+          instances[1].should.be.an.instanceof(Model);
+          instances[1].id.should.equal(6);
+        });
+      });
+
+      it('fetches inserted rows back by the ids postgres reports', function() {
+        var pg = knex({ client: 'pg' }),
+          Reading = require('../lib/model.js')(pg);
+
+        mockKnex.mock(pg);
+
+        // Postgres returns the id of every row
+        env.tracker.removeAllListeners('query');
+        env.tracker.on('query', function(query) {
+          queries.push(query);
+          query.response(query.method === 'insert' ? [5, 6] :
+              [{ id: 5, name: 'a' }, { id: 6, name: 'b' }]);
+        });
+
+        return new Reading('Reading', TestModel._definitions).insertMany(
+            [{ name: 'a' }, { name: 'b' }], { returning: true })
+        .finally(function() {
+          mockKnex.unmock(pg);
+        })
+        .then(function(instances) {
+          queries[0].sql.should.equal('insert into "Reading" ("name") ' +
+              'values (?), (?) returning "id"');
+          queries[1].bindings.should.deep.equal([5, 6]);
+          instances[1].id.should.equal(6);
+        });
+      });
+
+      it('requires a unique field to return rows with other ids', function() {
+        TestModel.insertMany.bind(null, [{ name: 'a' }], { returning: true })
+        .should.throw(Error, /unique field/);
+      });
+    });
+
+    describe('.upsert()', function() {
+      it('requires conflict keys which are defined fields', function() {
+        TestModel.upsert.bind(null, { name: 'a' }, { conflictKeys: ['slug'] })
+        .should.throw(TypeError);
+      });
+
+      it('updates the non-key columns on conflict', function() {
+        return TestModel.upsert({ id: 1, name: 'a' }).then(function(instance) {
+          queries[0].sql.should.equal('insert into `TestModel` (`id`, ' +
+              '`name`) values (?, ?) on duplicate key update ' +
+              '`name` = values(`name`)');
+          instance.should.be.an.instanceof(TestModel);
+        });
+      });
+    });
+
+    describe('.updateWhere()', function() {
+      it('type checks only the updated fields', function() {
+        TestModel.updateWhere.bind(null, {}, { year: 'soon' })
+        .should.throw(TypeError);
+        TestModel.updateWhere.bind(null, {}, { slug: 'a' }).should.throw(Error);
+        TestModel.updateWhere.bind(null, {}, { year: 1999 }).should.not.throw();
+      });
+
+      it('updates the rows which satisfy the query', function() {
+        return TestModel.updateWhere({ id: { $gt: 3 } }, { name: 'z' })
+        .then(function() {
+          queries[0].sql.should.equal('update `TestModel` set `name` = ? ' +
+              'where `id` > ?');
+        });
+      });
+    });
+  });
+
+  describe('pagination', function() {
+    var TestModel, queries, rows;
+
+    beforeEach(function() {
+      queries = [];
+      rows = [];
+
+      TestModel = env.getTestModelClass({
+        id: {
+          type: 'positive',
+          primaryId: true
+        },
+        year: {
+          type: 'number'
+        },
+        deleted: {
+          type: 'number'
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        if (query.sql.indexOf('count(*)') !== -1) {
+          query.response([{ count: '42' }]);
+        } else {
+          query.response(rows);
+        }
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    /**
+     * Make `n` rows with consecutive ids, starting after `start`.
+     */
+    function makeRows(start, n) {
+      return _.map(_.range(start + 1, start + n + 1), function(id) {
+        return { id: id, year: 2000, deleted: 0 };
+      });
+    }
+
+    describe('.count()', function() {
+      it('counts rows which are not deleted', function() {
+        return TestModel.count({ year: 2000 }).then(function(count) {
+          count.should.equal(42);
+          queries[0].sql.should.equal('select count(*) as `count` from ' +
+              '`TestModel` where `year` = ? and `deleted` = ?');
+        });
+      });
+    });
+
+    describe('.paginate()', function() {
+      it('returns a page of items with a cursor to the next one', function() {
+        rows = makeRows(0, 3);
+
+        return TestModel.paginate({}, { limit: 2, total: true })
+        .then(function(page) {
+          queries[0].sql.should.equal('select * from `TestModel` where ' +
+              '`deleted` = ? order by `id` asc limit ?');
+          queries[0].bindings.should.deep.equal([0, 3]);
+
+          page.items.length.should.equal(2);
+          page.items[1].id.should.equal(2);
+          page.total.should.equal(42);
+          (page.prevCursor === null).should.equal(true);
+          page.nextCursor.should.be.a('string');
+        });
+      });
+
+      it('continues after a cursor by keyset', function() {
+        rows = makeRows(0, 3);
+
+        return TestModel.paginate({}, {
+          limit: 2,
+          orderBy: { column: 'year', asc: false }
+        })
+        .then(function(page) {
+          rows = makeRows(2, 1);
+          queries = [];
+
+          return TestModel.paginate({}, {
+            limit: 2,
+            orderBy: { column: 'year', asc: false },
+            after: page.nextCursor
+          });
+        })
+        .then(function(page) {
+          queries[0].sql.should.equal('select * from `TestModel` where ' +
+              '`deleted` = ? and ((`year` < ?) or (`year` = ? and `id` < ?)) ' +
+              'order by `year` desc, `id` desc limit ?');
+          queries[0].bindings.should.deep.equal([0, 2000, 2000, 2, 3]);
+
+          page.items.length.should.equal(1);
+          (page.nextCursor === null).should.equal(true);
+          page.prevCursor.should.be.a('string');
+        });
+      });
+
+      it('walks backwards before a cursor', function() {
+        rows = makeRows(3, 3).reverse();
+
+        return TestModel.paginate({}, {
+          limit: 2,
+          before: require('../lib/cursor.js').encode([{ column: 'id' }],
+              { id: 7 })
+        })
+        .then(function(page) {
+          queries[0].sql.should.contain('where `deleted` = ? and ' +
+              '((`id` < ?)) order by `id` desc');
+
+          _.pluck(page.items, 'id').should.deep.equal([5, 6]);
+          page.prevCursor.should.be.a('string');
+          page.nextCursor.should.be.a('string');
+        });
+      });
+
+      it('rejects cursors made under another order', function() {
+        var token = require('../lib/cursor.js').encode([{ column: 'id' }],
+            { id: 7 });
+
+        TestModel.paginate.bind(null, {}, { orderBy: 'year', after: token })
+        .should.throw(TypeError);
+        TestModel.paginate.bind(null, {}, { after: 'garbage' })
+        .should.throw(TypeError);
+      });
+    });
+  });
+
+  describe('streaming', function() {
+    var TestModel, statement;
+
+    /**
+     * A stand-in for a transaction which runs queries through the mocked
+     * knex, but streams the given rows since the mock cannot stream.
+     */
+    function streamingDb(rows) {
+      return function(table) {
+        statement = env.db(table);
+
+        statement.stream = function() {
+          var readable = new (require('stream').Readable)({ objectMode: true });
+
+          readable._read = function() {};
+
+          rows.forEach(function(row) {
+            readable.push(row);
+          });
+          readable.push(null);
+
+          return readable;
+        };
+
+        return statement;
+      };
+    }
+
+    beforeEach(function() {
+      TestModel = env.getTestModelClass({
+        id: {
+          type: 'positive',
+          primaryId: true
+        },
+        name: {
+          type: 'string',
+          transform: function(name) {
+            return name.toUpperCase();
+          }
+        },
+        deleted: {
+          type: 'number'
+        }
+      });
+    });
+
+    describe('.stream()', function() {
+      it('streams hydrated instances of the model', function(done) {
+        var instances = [];
+
+        TestModel.stream({}, {
+          transacting: streamingDb([
+            { id: 1, name: 'a', deleted: 0 },
+            { id: 2, name: 'b', deleted: 0 }
+          ])
+        })
+        .on('data', function(instance) {
+          instances.push(instance);
+        })
+        .on('end', function() {
+          statement.toString().should.equal('select * from `TestModel` ' +
+              'where `deleted` = 0 order by `id` asc');
+
+          instances.length.should.equal(2);
+          instances[0].should.be.an.instanceof(TestModel);
+          instances[1].name.should.equal('B');
+
+          done();
+        });
+      });
+
+      it('emits an error for rows which do not fit the model', function(done) {
+        TestModel.stream({}, {
+          transacting: streamingDb([{ id: 1, deleted: 0 }])
+        })
+        .on('error', function(err) {
+          err.name.should.equal('ValidationError');
+
+          done();
+        })
+        .resume();
+      });
+    });
+
+    describe('.iterate()', function() {
+      it('returns an async iterator over instances', function() {
+        var iterator = TestModel.iterate({}, {
+          transacting: streamingDb([{ id: 1, name: 'a', deleted: 0 }])
+        });
+
+        return iterator.next().then(function(step) {
+          step.done.should.equal(false);
+          step.value.name.should.equal('A');
+
+          return iterator.next();
+        })
+        .then(function(step) {
+          step.done.should.equal(true);
+        });
+      });
+    });
+  });
+
+  describe('soft delete', function() {
+    var TestModel, queries, affected;
+
+    beforeEach(function() {
+      queries = [];
+      affected = 1;
+
+      TestModel = env.getTestModelClass({
+        id: {
+          type: 'positive',
+          primaryId: true
+        },
+        name: {
+          type: 'string'
+        },
+        deletedAt: {
+          type: 'date',
+          nullable: true
+        },
+        _softDelete: {
+          column: 'deletedAt',
+          strategy: 'timestamp'
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        query.response(query.method === 'select' ?
+            [{ id: 1, name: 'a', deletedAt: null }] : affected);
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('requires a defined column and a known strategy', function() {
+      env.getTestModelClass.bind(null, {
+        name: { type: 'string' },
+        _softDelete: { column: 'removed' }
+      }).should.throw(TypeError);
+      env.getTestModelClass.bind(null, {
+        removed: { type: 'date' },
+        _softDelete: { column: 'removed', strategy: 'timestamp' }
+      }).should.throw(TypeError);
+      env.getTestModelClass.bind(null, {
+        removed: { type: 'number' },
+        _softDelete: { column: 'removed', strategy: 'sometimes' }
+      }).should.throw(TypeError);
+    });
+
+    it('can be turned off for a field called deleted', function() {
+      var TestModel = env.getTestModelClass({
+        deleted: { type: 'number' },
+        _softDelete: false
+      });
+
+      (TestModel._softDelete === null).should.equal(true);
+    });
+
+    it('leaves out deleted rows unless asked for them', function() {
+      return TestModel.get({ name: 'a' }).then(function() {
+        return TestModel.get({}, { withDeleted: true });
+      })
+      .then(function() {
+        return TestModel.count({}, { onlyDeleted: true });
+      })
+      .then(function() {
+        queries[0].sql.should.contain('where `name` = ? and `deletedAt` ' +
+            'is null');
+        queries[1].sql.should.not.contain('deletedAt');
+        queries[2].sql.should.contain('where `deletedAt` is not null');
+      });
+    });
+
+    it('sets the timestamp when deleting', function() {
+      return TestModel.getOne({ id: 1 }).then(function(instance) {
+        return instance.delete().then(function() {
+          queries[1].sql.should.equal('update `TestModel` set `deletedAt` ' +
+              '= ? where `id` = ?');
+          queries[1].bindings[0].should.be.an.instanceof(Date);
+          instance.deletedAt.should.be.an.instanceof(Date);
+          instance.isDirty().should.equal(false);
+        });
+      });
+    });
+
+    it('restores a deleted instance', function() {
+      var instance = new TestModel({ id: 1, name: 'a', deletedAt: new Date() });
+
+      return instance.restore().then(function(restored) {
+        restored.should.equal(instance);
+        queries[0].sql.should.equal('update `TestModel` set `deletedAt` ' +
+            '= ? where `id` = ?');
+        (instance.deletedAt === null).should.equal(true);
+      });
+    });
+
+    it('restores the deleted rows which satisfy a query', function() {
+      return TestModel.restoreWhere({ name: 'a' }).then(function(count) {
+        count.should.equal(1);
+        queries[0].sql.should.equal('update `TestModel` set `deletedAt` ' +
+            '= ? where `name` = ? and `deletedAt` is not null');
+      });
+    });
+
+    it('deletes the row with forceDelete()', function() {
+      return new TestModel({ id: 1, name: 'a' }).forceDelete()
+      .then(function() {
+        queries[0].sql.should.equal('delete from `TestModel` where `id` = ?');
+      });
+    });
+
+    it('writes booleans to boolean soft delete fields', function() {
+      var Flagged = env.getTestModelClass({
+          id: { type: 'positive', primaryId: true },
+          name: { type: 'string' },
+          deleted: { type: 'boolean', default: false }
+        }),
+        instance = new Flagged({ id: 1, name: 'a', deleted: false });
+
+      return instance.delete().then(function() {
+        instance.deleted.should.equal(true);
+
+        return instance.restore();
+      })
+      .then(function() {
+        instance.deleted.should.equal(false);
+
+        return instance.update({ name: 'b' });
+      })
+      .then(function() {
+        return Flagged.count({});
+      })
+      .then(function() {
+        queries[0].bindings.should.deep.equal([true, 1]);
+        queries[1].bindings.should.deep.equal([false, 1]);
+        queries[2].bindings.should.deep.equal([false, 1, 'b', 1]);
+        queries[3].sql.should.equal('select count(*) as `count` from ' +
+            '`TestModel` where `deleted` = ?');
+        queries[3].bindings.should.deep.equal([false]);
+      });
+    });
+
+    it('cannot restore models which do not soft delete', function() {
+      var Plain = env.getTestModelClass({
+        id: { type: 'positive', primaryId: true }
+      });
+
+      Plain.restoreWhere.bind(null, {}).should.throw(Error);
+      new Plain({ id: 1 }).restore.should.throw(Error);
+    });
+  });
+
+  describe('.raw()', function() {
+    var TestModel, queries;
+
+    beforeEach(function() {
+      queries = [];
+
+      TestModel = env.getTestModelClass({
+        id: {
+          type: 'positive',
+          primaryId: true
+        },
+        title: {
+          type: 'string'
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        // the shape of the mysql driver's results
+        query.response([[{ id: 1, title: 'Alien' }], [{ name: 'id' }]]);
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('resolves with the rows', function() {
+      return TestModel.raw('select * from TestModel where id = ?', [1])
+      .then(function(rows) {
+        rows.should.deep.equal([{ id: 1, title: 'Alien' }]);
+      });
+    });
+
+    it('takes named bindings and hydrates instances', function() {
+      return TestModel.raw('select * from TestModel where id = :id',
+          { id: 1 }, { hydrate: true })
+      .then(function(instances) {
+        queries[0].sql.should.equal('select * from TestModel where id = ?');
+        queries[0].bindings.should.deep.equal([1]);
+        instances[0].should.be.an.instanceof(TestModel);
+        instances[0].isDirty().should.equal(false);
+      });
+    });
+  });
+
+  describe('column mapping', function() {
+    var TestModel, queries;
+
+    beforeEach(function() {
+      queries = [];
+
+      TestModel = env.getTestModelClass({
+        movieId: {
+          type: 'positive',
+          primaryId: true
+        },
+        releaseYear: {
+          type: 'number'
+        },
+        title: {
+          type: 'string',
+          column: 'movie_title'
+        },
+        _naming: 'snakeCase'
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        query.response(query.method === 'select' ?
+            [{ movie_id: 1, release_year: 1979, movie_title: 'Alien' }] : [1]);
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('names columns by the strategy or the field\'s column', function() {
+      TestModel._columns.should.deep.equal({
+        movieId: 'movie_id',
+        releaseYear: 'release_year',
+        title: 'movie_title'
+      });
+    });
+
+    it('queries and orders by column and hydrates by field', function() {
+      return TestModel.get({ releaseYear: { $gt: 1970 } },
+          { orderBy: 'title' })
+      .then(function(movies) {
+        queries[0].sql.should.equal('select * from `TestModel` where ' +
+            '`release_year` > ? order by `movie_title` asc limit ?');
+        movies[0].releaseYear.should.equal(1979);
+        movies[0].title.should.equal('Alien');
+      });
+    });
+
+    it('inserts and updates by column', function() {
+      return new TestModel({ movieId: 1, releaseYear: 1979, title: 'Alien' })
+      .insert()
+      .then(function(movie) {
+        return movie.update({ releaseYear: 1980 });
+      })
+      .then(function() {
+        queries[0].sql.should.equal('insert into `TestModel` (`movie_id`, ' +
+            '`movie_title`, `release_year`) values (?, ?, ?)');
+        queries[1].sql.should.equal('select * from `TestModel` where ' +
+            '`movie_id` = ?');
+        queries[2].sql.should.equal('update `TestModel` set ' +
+            '`release_year` = ? where `movie_id` = ?');
+      });
+    });
+
+    it('names columns in bulk writes', function() {
+      return TestModel.updateWhere({ title: 'Alien' }, { releaseYear: 1980 })
+      .then(function() {
+        return TestModel.upsert({ movieId: 1, releaseYear: 1979,
+            title: 'Alien' });
+      })
+      .then(function() {
+        queries[0].sql.should.equal('update `TestModel` set ' +
+            '`release_year` = ? where `movie_title` = ?');
+        queries[1].sql.should.contain('on duplicate key update ' +
+            '`release_year` = values(`release_year`), ' +
+            '`movie_title` = values(`movie_title`)');
+      });
+    });
+  });
+
+  describe('field types', function() {
+    var TestModel, queries;
+
+    beforeEach(function() {
+      queries = [];
+
+      TestModel = env.getTestModelClass({
+        movieId: {
+          type: 'positive',
+          primaryId: true
+        },
+        releasedAt: {
+          type: 'date'
+        },
+        details: {
+          type: 'json'
+        },
+        rating: {
+          type: 'enum',
+          values: ['G', 'PG', 'R']
+        },
+        budget: {
+          type: 'decimal',
+          precision: 6,
+          scale: 2
+        },
+        available: {
+          type: 'boolean'
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        query.response(query.method === 'select' ? [{
+          movieId: 1,
+          releasedAt: '1979-05-25T00:00:00.000Z',
+          details: '{"runtime":117}',
+          rating: 'R',
+          budget: '1100.50',
+          available: 1
+        }] : [1]);
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('rejects unknown types and incomplete definitions', function() {
+      env.getTestModelClass.bind(null, {
+        title: { type: 'text' }
+      }).should.throw(TypeError);
+      env.getTestModelClass.bind(null, {
+        rating: { type: 'enum' }
+      }).should.throw(TypeError);
+      env.getTestModelClass.bind(null, {
+        budget: { type: 'decimal', precision: 6, scale: -1 }
+      }).should.throw(TypeError);
+    });
+
+    it('validates values by type', function() {
+      TestModel.isValid({ movieId: 1, releasedAt: new Date(), details: {},
+          rating: 'PG', budget: 9999.99, available: false })
+      .should.equal(true);
+      TestModel.isValid({ movieId: 1, releasedAt: new Date(), details: {},
+          rating: 'X', budget: 10000, available: 0 })
+      .should.equal(false);
+
+      return TestModel.validate({ movieId: 1, releasedAt: 'today',
+          details: {}, rating: 'X', budget: 10000, available: 0 })
+      .then(function(result) {
+        _.pluck(result.errors, 'field').should.deep.equal(['releasedAt',
+            'rating', 'budget', 'available']);
+      });
+    });
+
+    it('converts values read from the database', function() {
+      return TestModel.getOne({ movieId: 1 }).then(function(movie) {
+        movie.releasedAt.getTime().should.equal(Date.UTC(1979, 4, 25));
+        movie.details.should.deep.equal({ runtime: 117 });
+        movie.budget.should.equal(1100.5);
+        movie.available.should.equal(true);
+        movie.isDirty().should.equal(false);
+      });
+    });
+
+    it('converts values written to the database', function() {
+      return new TestModel({
+        movieId: 2,
+        releasedAt: new Date(0),
+        details: { runtime: 90 },
+        rating: 'G',
+        budget: 12.5,
+        available: false
+      })
+      .insert()
+      .then(function(movie) {
+        return movie.update({ details: { runtime: 95 } });
+      })
+      .then(function() {
+        queries[0].bindings.should.deep.equal([false, '12.50',
+            '{"runtime":90}', 2, 'G', new Date(0)]);
+        queries[2].bindings[0].should.equal('{"runtime":95}');
+      });
+    });
+  });
+
+  describe('field constraints', function() {
+    var TestModel, queries, taken;
+
+    beforeEach(function() {
+      queries = [];
+      taken = false;
+
+      TestModel = env.getTestModelClass({
+        movieId: {
+          type: 'positive',
+          primaryId: true
+        },
+        title: {
+          type: 'string',
+          maxLength: 10
+        },
+        slug: {
+          type: 'string',
+          unique: true
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        if (query.method !== 'select') {
+          query.response([1]);
+        } else if (query.sql.indexOf('`slug`') === 7) {
+          query.response(taken ? [{ slug: 'alien' }] : []);
+        } else {
+          query.response([{ movieId: 1, title: 'Alien', slug: 'alien' }]);
+        }
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('throws with specific messages from the constructor', function() {
+      try {
+        new TestModel({ movieId: 1, title: 'The Terminator', slug: 'a' });
+      } catch (e) {
+        e.errors[0].rule.should.equal('maxLength');
+        e.errors[0].message.should.equal('Field title must have a length ' +
+            'of at most 10 but has length 14');
+
+        return;
+      }
+
+      throw new Error('Expected a ValidationError');
+    });
+
+    it('checks unique fields against the table on insert', function() {
+      taken = true;
+
+      return new TestModel({ movieId: 2, title: 'Alien', slug: 'alien' })
+      .insert()
+      .then(function() {
+        throw new Error('Expected a ValidationError');
+      }, function(e) {
+        e.name.should.equal('ValidationError');
+        e.errors[0].rule.should.equal('unique');
+        queries.length.should.equal(1);
+        queries[0].sql.should.equal('select `slug` from `TestModel` ' +
+            'where `slug` = ? limit ?');
+      });
+    });
+
+    it('checks changed unique fields against other rows on update',
+        function() {
+      return TestModel.getOne({ movieId: 1 }).then(function(movie) {
+        return movie.update({ title: 'Aliens' }).then(function() {
+          return movie.update({ slug: 'aliens' });
+        });
+      })
+      .then(function(movie) {
+        movie.slug.should.equal('aliens');
+        _.pluck(queries, 'method').should.deep.equal(['select', 'update',
+            'select', 'update']);
+        queries[2].sql.should.equal('select `slug` from `TestModel` ' +
+            'where `slug` = ? and not (`movieId` = ?) limit ?');
+      });
+    });
+
+    it('excludes the whole of a composite key on update', function() {
+      var Member = env.getTestModelClass({
+        tenantId: { type: 'positive', primaryId: true },
+        userId: { type: 'positive', primaryId: true },
+        slug: { type: 'string', unique: true }
+      });
+
+      return new Member({ tenantId: 1, userId: 2, slug: 'a' })
+      .update({ slug: 'alien' })
+      .then(function() {
+        queries[0].sql.should.equal('select `slug` from `TestModel` ' +
+            'where `slug` = ? and not (`tenantId` = ? and `userId` = ?) ' +
+            'limit ?');
+        queries[0].bindings.should.deep.equal(['alien', 1, 2, 1]);
+      });
+    });
+  });
+
+  describe('column selection', function() {
+    var TestModel, queries;
+
+    beforeEach(function() {
+      queries = [];
+
+      TestModel = env.getTestModelClass({
+        movieId: {
+          type: 'positive',
+          primaryId: true
+        },
+        title: {
+          type: 'string'
+        },
+        year: {
+          type: 'positive'
+        },
+        version: {
+          type: 'positive',
+          version: true
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        if (query.method !== 'select') {
+          query.response(1);
+        } else if (query.sql.indexOf('select *') === 0) {
+          query.response([{ movieId: 1, title: 'Alien', year: 1979,
+              version: 2 }]);
+        } else {
+          query.response([{ movieId: 1, title: 'Alien', version: 1 }]);
+        }
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('selects the fields with the primary key and version', function() {
+      return TestModel.get({}, { fields: ['title'] }).then(function(movies) {
+        queries[0].sql.should.equal('select `movieId`, `version`, `title` ' +
+            'from `TestModel` order by `movieId` asc limit ?');
+        movies[0].should.be.an.instanceof(TestModel);
+        movies[0].title.should.equal('Alien');
+        (movies[0].year === undefined).should.equal(true);
+      });
+    });
+
+    it('throws for unknown fields', function() {
+      TestModel.getOne.bind(null, {}, { fields: ['rating'] })
+      .should.throw(Error);
+    });
+
+    it('updates partial instances and fills them in on reload', function() {
+      return TestModel.getOne({ movieId: 1 }, { fields: 'title' })
+      .then(function(movie) {
+        return movie.update({ title: 'Aliens' });
+      })
+      .then(function(movie) {
+        movie.title.should.equal('Aliens');
+        queries[1].sql.should.equal('update `TestModel` set `title` = ?, ' +
+            '`version` = `version` + 1 where `movieId` = ? and ' +
+            '`version` = ?');
+
+        return movie.reload();
+      })
+      .then(function(movie) {
+        movie.year.should.equal(1979);
+        movie.version.should.equal(2);
+      });
+    });
+  });
+
+  describe('aggregates', function() {
+    var TestModel, queries;
+
+    beforeEach(function() {
+      queries = [];
+
+      TestModel = env.getTestModelClass({
+        movieId: {
+          type: 'positive',
+          primaryId: true
+        },
+        year: {
+          type: 'positive'
+        },
+        releasedAt: {
+          type: 'date'
+        },
+        budget: {
+          type: 'decimal'
+        },
+        deleted: {
+          type: 'integer',
+          default: 0
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        if (/group by/.test(query.sql)) {
+          query.response([{ year: 1979, count: 2 }, { year: 1986, count: 1 }]);
+        } else {
+          query.response([{ sum: '300.50', max: '1986-07-18T00:00:00.000Z' }]);
+        }
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('sums over the query without deleted rows', function() {
+      return TestModel.sum('budget', { year: 1979 }).then(function(sum) {
+        sum.should.equal(300.5);
+        queries[0].sql.should.equal('select sum(`budget`) as `sum` from ' +
+            '`TestModel` where `year` = ? and `deleted` = ?');
+      });
+    });
+
+    it('takes the type of the field for min and max', function() {
+      return TestModel.max('releasedAt').then(function(max) {
+        max.getTime().should.equal(Date.UTC(1986, 6, 18));
+      });
+    });
+
+    it('counts by group', function() {
+      return TestModel.groupBy('year').withDeleted().count()
+      .then(function(groups) {
+        groups.should.deep.equal([{ year: 1979, count: 2 },
+            { year: 1986, count: 1 }]);
+        queries[0].sql.should.equal('select `year`, count(*) as `count` ' +
+            'from `TestModel` group by `year` order by `year` asc');
+      });
+    });
+
+    it('throws for unknown fields', function() {
+      TestModel.avg.bind(null, 'rating').should.throw(Error);
+      TestModel.count.bind(null, {}, { groupBy: 'rating' }).should.throw(Error);
+    });
+  });
+
+  describe('inheritance', function() {
+    var Model, Media, Movie, Documentary, queries;
+
+    beforeEach(function() {
+      queries = [];
+      Model = env.getGenerator();
+
+      Media = new Model('Media', {
+        mediaId: {
+          type: 'positive',
+          primaryId: true
+        },
+        kind: {
+          type: 'string'
+        },
+        title: {
+          type: 'string'
+        },
+        _discriminator: 'kind',
+        _statics: {
+          titled: function(title) {
+            return this.getOne({ title: title });
+          }
+        }
+      });
+
+      Movie = Media.extend('Movie', {
+        runtime: {
+          type: 'positive',
+          nullable: true
+        }
+      });
+
+      Documentary = Movie.extend('Documentary', {
+        subject: {
+          type: 'string'
+        }
+      });
+
+      env.tracker.on('query', function(query) {
+        queries.push(query);
+
+        var rows = [
+          { mediaId: 1, kind: 'Movie', title: 'Alien', runtime: 117,
+            subject: null },
+          { mediaId: 2, kind: 'Documentary', title: 'Baraka', runtime: 96,
+            subject: 'Earth' }
+        ];
+
+        // only the rows of the types a query names
+        query.response(query.method === 'select' ? _.filter(rows,
+            function(row) {
+          return !/`kind` in/.test(query.sql) ||
+              _.contains(query.bindings, row.kind);
+        }) : [3]);
+      });
+    });
+
+    afterEach(function() {
+      env.tracker.removeAllListeners('query');
+    });
+
+    it('extends a model into a table of its own', function() {
+      var Base = new Model('Base', {
+          id: { type: 'positive', primaryId: true },
+          _statics: { base: true }
+        }),
+        Cinema = Base.extend('Cinema', {
+          name: { type: 'string' }
+        });
+
+      Cinema._table.should.equal('Cinema');
+      Cinema.statics.should.deep.equal({ base: true });
+      new Cinema({ id: 1, name: 'Roxy' }).should.be.an.instanceof(Base);
+      Model.model('Cinema').should.equal(Cinema);
+      new Cinema({ id: 1, name: 'Roxy' }).name.should.equal('Roxy');
+    });
+
+    it('shares the table of a model with a discriminator', function() {
+      Movie._table.should.equal('Media');
+      Documentary._table.should.equal('Media');
+      Model.model('Documentary').should.equal(Documentary);
+      Media._subtypes.should.deep.equal({
+        Movie: Movie,
+        Documentary: Documentary
+      });
+      Media.extend.bind(null, 'Film', { _discriminator: { value: 'Movie' } })
+      .should.throw(Error);
+    });
+
+    it('hydrates rows as the model of their type', function() {
+      return Media.get().then(function(media) {
+        media[0].should.be.an.instanceof(Movie);
+        media[0].should.be.an.instanceof(Media);
+        media[1].should.be.an.instanceof(Documentary);
+        media[1].should.be.an.instanceof(Movie);
+        media[1].should.be.an.instanceof(Media);
+        media[1].subject.should.equal('Earth');
+        queries[0].sql.should.equal('select * from `Media` order by ' +
+            '`mediaId` asc limit ?');
+      });
+    });
+
+    it('restricts queries on a subtype to its types', function() {
+      return Movie.count({ title: { $like: 'A%' } }).then(function() {
+        queries[0].sql.should.equal('select count(*) as `count` from ' +
+            '`Media` where `title` like ? and `kind` in (?, ?)');
+        queries[0].bindings.should.deep.equal(['A%', 'Movie',
+            'Documentary']);
+      });
+    });
+
+    it('stores the type of new records', function() {
+      return new Documentary({ mediaId: 3, title: 'Samsara',
+          subject: 'Earth' })
+      .insert()
+      .then(function() {
+        queries[0].bindings.should.deep.equal(['Documentary', 3, 'Earth',
+            'Samsara']);
+      });
+    });
+
+    it('composes mixins from models and definitions', function() {
+      var Review = new Model('Review', {
+        reviewId: { type: 'positive', primaryId: true },
+        _mixins: [Media, { stars: { type: 'positive', max: 5 } }]
+      });
+
+      Review._table.should.equal('Review');
+      Review._discriminator.should.deep.equal({ field: 'kind' });
+      Review.isValid({ reviewId: 1, mediaId: 1, kind: 'Movie', title: 'Alien',
+          stars: 6 })
+      .should.equal(false);
+    });
   });
 });
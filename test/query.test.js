@@ -0,0 +1,69 @@
+/**
+ * Test the query object compiler.
+ */
+
+var expect = require('chai').should(),
+  env = require('./env'),
+  compileQuery = require('../lib/query.js').compileQuery;
+
+describe('the query compiler', function() {
+  var fields = ['id', 'year', 'title', 'deleted'];
+
+  function hasField(key) {
+    return fields.indexOf(key) !== -1;
+  }
+
+  function toSQL(query) {
+    return compileQuery(query, hasField, 'Movie')(env.db('Movie')).toString();
+  }
+
+  before(env.setup);
+  after(env.teardown);
+
+  it('compiles plain values into equality checks', function() {
+    toSQL({ id: 1, title: null })
+    .should.equal('select * from `Movie` where `id` = 1 and `title` is null');
+  });
+
+  it('compiles comparison operators', function() {
+    toSQL({ year: { $gt: 1, $gte: 2, $lt: 3, $lte: 4, $ne: 5 } })
+    .should.equal('select * from `Movie` where `year` > 1 and `year` >= 2 ' +
+        'and `year` < 3 and `year` <= 4 and `year` <> 5');
+  });
+
+  it('compiles list, range, pattern and null operators', function() {
+    toSQL({
+      id: { $in: [1, 2] },
+      year: { $nin: [3], $between: [1990, 2000] },
+      title: { $like: 'The %', $null: false }
+    })
+    .should.equal('select * from `Movie` where `id` in (1, 2) and `year` ' +
+        'not in (3) and `year` between 1990 and 2000 and `title` like ' +
+        '\'The %\' and `title` is not null');
+  });
+
+  it('compiles $or, $and and $not groupings', function() {
+    toSQL({
+      deleted: 0,
+      $or: [{ id: 1 }, { year: { $lt: 1990 }, title: 'Alien' }],
+      $not: { $and: [{ id: 2 }, { id: 3 }] }
+    })
+    .should.equal('select * from `Movie` where `deleted` = 0 and ' +
+        '((`id` = 1) or (`year` < 1990 and `title` = \'Alien\')) and ' +
+        'not ((`id` = 2) and (`id` = 3))');
+  });
+
+  it('rejects unknown fields, including inside groupings', function() {
+    toSQL.bind(null, { director: 'Scott' }).should.throw(/Unknown field/);
+    toSQL.bind(null, { $or: [{ director: 'Scott' }] })
+    .should.throw(/Unknown field/);
+  });
+
+  it('rejects unknown or malformed operators', function() {
+    toSQL.bind(null, { year: { $near: 1 } }).should.throw(/Unknown query/);
+    toSQL.bind(null, { year: { $in: 1 } }).should.throw(TypeError);
+    toSQL.bind(null, { year: { $between: [1] } }).should.throw(TypeError);
+    toSQL.bind(null, { year: { $null: 'yes' } }).should.throw(TypeError);
+    toSQL.bind(null, { $or: [] }).should.throw(TypeError);
+  });
+});
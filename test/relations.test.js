@@ -0,0 +1,378 @@
+/**
+ * Test relation definitions and eager loading.
+ */
+
+var expect = require('chai').should(),
+  env = require('./env');
+
+describe('model relations', function() {
+  var Model, Company, Review, Actor, Movie;
+
+  before(env.setup);
+  after(env.teardown);
+
+  beforeEach(function() {
+    Model = env.getGenerator();
+
+    Company = new Model('Company', {
+      companyId: {
+        type: 'positive',
+        primaryId: true
+      },
+      name: {
+        type: 'string'
+      }
+    });
+
+    Review = new Model('Review', {
+      reviewId: {
+        type: 'positive',
+        primaryId: true
+      },
+      movieId: {
+        type: 'positive'
+      }
+    });
+
+    Actor = new Model('Actor', {
+      actorId: {
+        type: 'positive',
+        primaryId: true
+      }
+    });
+
+    Movie = new Model('Movie', {
+      movieId: {
+        type: 'positive',
+        primaryId: true
+      },
+      companyId: {
+        type: 'positive'
+      },
+      _relations: {
+        company: {
+          type: 'belongsTo',
+          model: Company,
+          foreignKey: 'companyId'
+        },
+        reviews: {
+          type: 'hasMany',
+          model: function() { return Review; },
+          foreignKey: 'movieId'
+        },
+        actors: {
+          type: 'manyToMany',
+          model: Actor,
+          through: 'MovieActor',
+          foreignKey: 'movieId',
+          otherKey: 'actorId'
+        }
+      }
+    });
+  });
+
+  afterEach(function() {
+    env.tracker.removeAllListeners('query');
+  });
+
+  describe('definitions', function() {
+    it('are not treated as fields', function() {
+      Movie.hasField('company').should.equal(false);
+      Movie.isValid({ movieId: 1, companyId: 1 }).should.equal(true);
+    });
+
+    it('require a known relation type', function() {
+      Model.bind(null, 'Bad', {
+        _relations: {
+          other: { type: 'hasOne', model: Company, foreignKey: 'id' }
+        }
+      }).should.throw(TypeError);
+    });
+
+    it('require a through table for manyToMany relations', function() {
+      Model.bind(null, 'Bad', {
+        _relations: {
+          other: { type: 'manyToMany', model: Company, foreignKey: 'id' }
+        }
+      }).should.throw(TypeError);
+    });
+
+    it('cannot share a name with a field', function() {
+      Model.bind(null, 'Bad', {
+        companyId: {
+          type: 'positive'
+        },
+        _relations: {
+          companyId: {
+            type: 'belongsTo',
+            model: Company,
+            foreignKey: 'companyId'
+          }
+        }
+      }).should.throw(Error);
+    });
+  });
+
+  describe('eager loading', function() {
+    it('loads belongsTo relations with one query', function() {
+      var queries = [];
+
+      env.tracker.on('query', function(query) {
+        queries.push(query.sql);
+
+        if (queries.length === 1) {
+          query.response([
+            { movieId: 1, companyId: 10 },
+            { movieId: 2, companyId: 10 },
+            { movieId: 3, companyId: 11 }
+          ]);
+        } else {
+          query.response([
+            { companyId: 10, name: 'Pixar' },
+            { companyId: 11, name: 'Ghibli' }
+          ]);
+        }
+      });
+
+      return Movie.get({}, { include: 'company' }).then(function(movies) {
+        queries.length.should.equal(2);
+        queries[1].should.contain('in (?, ?)');
+
+        movies[0].company.should.be.an.instanceof(Company);
+        movies[0].company.name.should.equal('Pixar');
+        movies[1].company.should.equal(movies[0].company);
+        movies[2].company.name.should.equal('Ghibli');
+      });
+    });
+
+    it('loads hasMany and manyToMany relations grouped by owner', function() {
+      var step = 0;
+
+      env.tracker.on('query', function(query) {
+        if (++step === 1) {
+          query.response([
+            { movieId: 1, companyId: 10 },
+            { movieId: 2, companyId: 10 }
+          ]);
+        } else if (query.sql.indexOf('`Review`') !== -1) {
+          query.response([
+            { reviewId: 5, movieId: 2 },
+            { reviewId: 6, movieId: 2 }
+          ]);
+        } else {
+          query.sql.should.contain('inner join `MovieActor`');
+
+          query.response([
+            { actorId: 7, _pivot_movieId: 1 },
+            { actorId: 7, _pivot_movieId: 2 }
+          ]);
+        }
+      });
+
+      return Movie.get({}, { include: ['reviews', 'actors'] })
+      .then(function(movies) {
+        movies[0].reviews.should.deep.equal([]);
+        movies[1].reviews.length.should.equal(2);
+        movies[1].reviews[0].should.be.an.instanceof(Review);
+
+        movies[0].actors.length.should.equal(1);
+        movies[1].actors[0].actorId.should.equal(7);
+        movies[1].actors[0].should.not.have.property('_pivot_movieId');
+      });
+    });
+
+    it('loads hasMany relations through mapped columns', function() {
+      var step = 0,
+        Comment = new Model('Comment', {
+          commentId: {
+            type: 'positive',
+            primaryId: true
+          },
+          movieId: {
+            type: 'positive'
+          },
+          _naming: 'snakeCase'
+        }),
+        Film = new Model('Film', {
+          movieId: {
+            type: 'positive',
+            primaryId: true,
+            column: 'id'
+          },
+          _relations: {
+            comments: {
+              type: 'hasMany',
+              model: Comment,
+              foreignKey: 'movieId'
+            }
+          }
+        });
+
+      env.tracker.on('query', function(query) {
+        if (++step === 1) {
+          query.response([{ id: 1 }]);
+        } else {
+          query.sql.should.contain('where `movie_id` in (?)');
+          query.response([{ comment_id: 5, movie_id: 1 }]);
+        }
+      });
+
+      return Film.get({}, { include: 'comments' }).then(function(films) {
+        films[0].movieId.should.equal(1);
+        films[0].comments[0].commentId.should.equal(5);
+      });
+    });
+
+    it('loads relations onto the result of getOne()', function() {
+      var step = 0;
+
+      env.tracker.on('query', function(query) {
+        if (++step === 1) {
+          query.response([{ movieId: 1, companyId: 10 }]);
+        } else {
+          query.response([{ companyId: 10, name: 'Pixar' }]);
+        }
+      });
+
+      return Movie.getOne({ movieId: 1 }, { include: ['company'] })
+      .then(function(movie) {
+        movie.company.name.should.equal('Pixar');
+      });
+    });
+
+    it('runs the afterFetch hooks of related models', function() {
+      var fetched = [];
+
+      function afterFetch(instance) {
+        fetched.push(instance.name);
+      }
+
+      var Studio = new Model('Studio', {
+          studioId: { type: 'positive', primaryId: true },
+          name: { type: 'string' },
+          _hooks: { afterFetch: afterFetch }
+        }),
+        Credit = new Model('Credit', {
+          creditId: { type: 'positive', primaryId: true },
+          filmId: { type: 'positive' },
+          name: { type: 'string' },
+          _hooks: { afterFetch: afterFetch }
+        }),
+        Film = new Model('Film', {
+          filmId: { type: 'positive', primaryId: true },
+          studioId: { type: 'positive' },
+          _relations: {
+            studio: {
+              type: 'belongsTo',
+              model: Studio,
+              foreignKey: 'studioId'
+            },
+            credits: { type: 'hasMany', model: Credit, foreignKey: 'filmId' }
+          }
+        });
+
+      env.tracker.on('query', function(query) {
+        if (/`Studio`/.test(query.sql)) {
+          query.response([{ studioId: 10, name: 'Pixar' }]);
+        } else if (/`Credit`/.test(query.sql)) {
+          query.response([{ creditId: 5, filmId: 1, name: 'Lasseter' }]);
+        } else {
+          query.response([{ filmId: 1, studioId: 10 }]);
+        }
+      });
+
+      return Film.get({}, { include: ['studio', 'credits'] })
+      .then(function(films) {
+        fetched.sort().should.deep.equal(['Lasseter', 'Pixar']);
+        films[0].studio.name.should.equal('Pixar');
+        films[0].credits[0].name.should.equal('Lasseter');
+      });
+    });
+
+    it('leaves out related rows flagged as deleted', function() {
+      var bindings,
+        Studio = new Model('Studio', {
+          studioId: { type: 'positive', primaryId: true },
+          deleted: { type: 'boolean', default: false }
+        }),
+        Film = new Model('Film', {
+          filmId: { type: 'positive', primaryId: true },
+          studioId: { type: 'positive' },
+          _relations: {
+            studio: {
+              type: 'belongsTo',
+              model: Studio,
+              foreignKey: 'studioId'
+            }
+          }
+        });
+
+      env.tracker.on('query', function(query) {
+        if (/`Studio`/.test(query.sql)) {
+          bindings = query.bindings;
+          query.response([{ studioId: 10, deleted: false }]);
+        } else {
+          query.response([{ filmId: 1, studioId: 10 }]);
+        }
+      });
+
+      return Film.get({}, { include: 'studio' }).then(function() {
+        bindings.should.deep.equal([10, false]);
+      });
+    });
+
+    it('reads relations from replicas unless told otherwise', function() {
+      var reads = [];
+
+      Model.setConnection('default', env.db, [function(table) {
+        reads.push(table);
+
+        return env.db(table);
+      }]);
+
+      env.tracker.on('query', function(query) {
+        query.response(/`Company`/.test(query.sql) ?
+            [{ companyId: 10, name: 'Pixar' }] :
+            [{ movieId: 1, companyId: 10 }]);
+      });
+
+      return Movie.get({}, { include: 'company' }).then(function() {
+        return Movie.getOne({ movieId: 1 }, { include: 'company',
+            primary: true });
+      })
+      .then(function(movie) {
+        movie.company.name.should.equal('Pixar');
+        reads.should.deep.equal(['Movie', 'Company']);
+      });
+    });
+
+    it('rejects unknown relation names', function() {
+      env.tracker.on('query', function(query) {
+        query.response([{ movieId: 1, companyId: 10 }]);
+      });
+
+      return Movie.get({}, { include: 'director' }).then(function() {
+        throw new Error('expected get() to reject');
+      }, function(err) {
+        err.message.should.contain('director');
+      });
+    });
+  });
+
+  describe('.insert()', function() {
+    it('does not insert loaded relations', function(done) {
+      var movie = new Movie({ movieId: 1, companyId: 10 });
+
+      movie.company = new Company({ companyId: 10, name: 'Pixar' });
+
+      env.tracker.once('query', function(query) {
+        query.method.should.equal('insert');
+        query.sql.should.not.contain('company`');
+
+        done();
+      });
+
+      movie.insert();
+    });
+  });
+});
@@ -0,0 +1,397 @@
+/**
+ * Test table and migration generation from model definitions.
+ */
+
+var expect = require('chai').should(),
+  knex = require('knex'),
+  mockKnex = require('mock-knex'),
+  env = require('./env'),
+  schema = require('../lib/schema.js');
+
+describe('model schema tools', function() {
+  var TestModel;
+
+  before(env.setup);
+  after(env.teardown);
+
+  beforeEach(function() {
+    TestModel = env.getTestModelClass({
+      id: {
+        type: 'positive',
+        autoIncrement: true,
+        primaryId: true
+      },
+      title: {
+        type: 'string',
+        default: 'Untitled'
+      },
+      year: {
+        type: 'positive',
+        nullable: true
+      }
+    });
+  });
+
+  afterEach(function() {
+    env.tracker.removeAllListeners('query');
+  });
+
+  /**
+   * Respond to introspection queries as if the table had the given columns.
+   */
+  function respondWithColumns(columns) {
+    env.tracker.on('query', function(query) {
+      if (query.method === 'columnInfo') {
+        query.response(columns);
+      } else {
+        query.response(columns ? [{ table: 'TestModel' }] : []);
+      }
+    });
+  }
+
+  describe('.createTable()', function() {
+    it('creates columns from the definitions', function(done) {
+      env.tracker.once('query', function(query) {
+        query.sql.should.equal('create table `TestModel` (' +
+            '`id` int unsigned not null auto_increment primary key, ' +
+            '`title` varchar(255) not null default \'Untitled\', ' +
+            '`year` int unsigned null)');
+
+        done();
+      });
+
+      TestModel.createTable();
+    });
+
+    it('creates columns for enums and decimals', function(done) {
+      var Model = env.getTestModelClass({
+        rating: {
+          type: 'enum',
+          values: ['G', 'R']
+        },
+        price: {
+          type: 'decimal',
+          precision: 6,
+          scale: 2
+        }
+      });
+
+      env.tracker.once('query', function(query) {
+        query.sql.should.equal('create table `TestModel` (' +
+            '`rating` enum(\'G\', \'R\') not null, ' +
+            '`price` decimal(6, 2) not null)');
+
+        done();
+      });
+
+      Model.createTable();
+    });
+
+    it('makes one primary key over composite keys', function() {
+      var Model = env.getTestModelClass({
+          movieId: {
+            type: 'positive',
+            primaryId: true
+          },
+          actorId: {
+            type: 'positive',
+            primaryId: true
+          }
+        }),
+        queries = [];
+
+      env.tracker.on('query', function(query) {
+        queries.push(query.sql);
+        query.response([]);
+      });
+
+      return Model.createTable().then(function() {
+        queries.should.deep.equal([
+          'create table `TestModel` (`movieId` int unsigned not null, ' +
+              '`actorId` int unsigned not null)',
+          'alter table `TestModel` add primary key ' +
+              'testmodel_movieid_actorid_primary(`movieId`, `actorId`)'
+        ]);
+      });
+    });
+
+    it('keeps auto-increment fields of composite keys out of their own ' +
+        'primary key', function() {
+      var Model = env.getTestModelClass({
+          tenantId: {
+            type: 'positive',
+            primaryId: true
+          },
+          id: {
+            type: 'positive',
+            autoIncrement: true,
+            primaryId: true
+          }
+        }),
+        pg = knex({ client: 'pg' }),
+        queries = [];
+
+      env.tracker.on('query', function(query) {
+        queries.push(query.sql);
+        query.response([]);
+      });
+
+      return Model.createTable().then(function() {
+        mockKnex.mock(pg);
+
+        return schema.createTable(pg, 'Tenant', Model._definitions);
+      })
+      .finally(function() {
+        mockKnex.unmock(pg);
+      })
+      .then(function() {
+        queries.should.deep.equal([
+          'create table `TestModel` (`tenantId` int unsigned not null, ' +
+              '`id` int unsigned not null auto_increment)',
+          'alter table `TestModel` add primary key ' +
+              'testmodel_id_tenantid_primary(`id`, `tenantId`)',
+          'create table "Tenant" ("tenantId" integer not null, ' +
+              '"id" serial)',
+          'alter table "Tenant" add primary key ("id", "tenantId")'
+        ]);
+
+        schema.createTable.bind(null, knex({ client: 'sqlite3' }), 'Tenant',
+            Model._definitions)
+        .should.throw(Error, /cannot be part of a composite primary key/);
+      });
+    });
+
+    it('uses the column types of postgres', function(done) {
+      var pg = knex({ client: 'pg' });
+
+      mockKnex.mock(pg);
+
+      env.tracker.once('query', function(query) {
+        mockKnex.unmock(pg);
+
+        query.sql.should.equal('create table "Reading" (' +
+            '"sensorId" integer not null, "value" double precision not null, ' +
+            '"data" json not null)');
+
+        done();
+      });
+
+      schema.createTable(pg, 'Reading', {
+        sensorId: { type: 'positive' },
+        value: { type: 'number' },
+        data: { type: 'json' }
+      });
+    });
+
+    it('uses configured column types', function(done) {
+      var Model = env.getTestModelClass({
+        price: {
+          type: 'number'
+        }
+      });
+
+      schema.setType('number', { type: 'decimal', args: [8, 2] }, 'mysql');
+
+      env.tracker.once('query', function(query) {
+        delete schema.types.mysql;
+
+        query.sql.should.contain('`price` decimal(8, 2) not null');
+
+        done();
+      });
+
+      Model.createTable();
+    });
+  });
+
+  describe('.diffSchema()', function() {
+    it('lists every field as added when the table is missing', function() {
+      respondWithColumns(null);
+
+      return TestModel.diffSchema().then(function(result) {
+        result.exists.should.equal(false);
+        result.added.should.deep.equal(['id', 'title', 'year']);
+      });
+    });
+
+    it('finds added, removed and changed columns', function() {
+      respondWithColumns([
+        { COLUMN_NAME: 'id', DATA_TYPE: 'int', IS_NULLABLE: 'NO' },
+        { COLUMN_NAME: 'title', DATA_TYPE: 'text', IS_NULLABLE: 'NO' },
+        { COLUMN_NAME: 'old', DATA_TYPE: 'varchar', IS_NULLABLE: 'YES',
+          CHARACTER_MAXIMUM_LENGTH: 20 }
+      ]);
+
+      return TestModel.diffSchema().then(function(result) {
+        result.exists.should.equal(true);
+        result.added.should.deep.equal(['year']);
+        result.removed.should.have.keys(['old']);
+        result.changed.length.should.equal(1);
+        result.changed[0].field.should.equal('title');
+        result.changed[0].actual.type.should.equal('text');
+      });
+    });
+  });
+
+  describe('.migration()', function() {
+    it('creates the table when it is missing', function() {
+      respondWithColumns(null);
+
+      return TestModel.migration().then(function(source) {
+        source.should.contain('knex.schema.createTable(\'TestModel\'');
+        source.should.contain('table.increments(\'id\');');
+        source.should.contain('knex.schema.dropTable(\'TestModel\');');
+      });
+    });
+
+    it('makes one primary key over composite keys', function() {
+      var Model = env.getTestModelClass({
+        movieId: {
+          type: 'positive',
+          primaryId: true
+        },
+        actorId: {
+          type: 'positive',
+          primaryId: true
+        }
+      });
+
+      respondWithColumns(null);
+
+      return Model.migration().then(function(source) {
+        source.should.contain('table.integer(\'movieId\').unsigned()' +
+            '.notNullable();');
+        source.should.contain('table.primary(["movieId","actorId"]);');
+        source.should.not.contain('.primary();');
+      });
+    });
+
+    it('keeps auto-increment fields of composite keys out of their own ' +
+        'primary key', function() {
+      var Model = env.getTestModelClass({
+        tenantId: {
+          type: 'positive',
+          primaryId: true
+        },
+        id: {
+          type: 'positive',
+          autoIncrement: true,
+          primaryId: true
+        }
+      });
+
+      respondWithColumns(null);
+
+      return Model.migration().then(function(source) {
+        source.should.contain('table.specificType(\'id\', \'int unsigned ' +
+            'not null auto_increment\');');
+        source.should.contain('table.primary(["id","tenantId"]);');
+        source.should.not.contain('increments');
+      });
+    });
+
+    it('adds unique indexes to unique fields', function() {
+      var Model = env.getTestModelClass({
+        slug: {
+          type: 'string',
+          unique: true
+        }
+      });
+
+      respondWithColumns(null);
+
+      return Model.migration().then(function(source) {
+        source.should.contain('table.string(\'slug\').notNullable()' +
+            '.unique();');
+      });
+    });
+
+    it('alters the table to match the definitions', function() {
+      respondWithColumns([
+        { COLUMN_NAME: 'id', DATA_TYPE: 'int', IS_NULLABLE: 'NO' },
+        { COLUMN_NAME: 'title', DATA_TYPE: 'varchar', IS_NULLABLE: 'NO' },
+        { COLUMN_NAME: 'old', DATA_TYPE: 'varchar', IS_NULLABLE: 'YES',
+          CHARACTER_MAXIMUM_LENGTH: 20 }
+      ]);
+
+      return TestModel.migration().then(function(source) {
+        source.should.equal([
+          'exports.up = function(knex, Promise) {',
+          '  return knex.schema.table(\'TestModel\', function(table) {',
+          '    table.integer(\'year\').unsigned().nullable();',
+          '    table.dropColumn(\'old\');',
+          '  });',
+          '};',
+          '',
+          'exports.down = function(knex, Promise) {',
+          '  return knex.schema.table(\'TestModel\', function(table) {',
+          '    table.dropColumn(\'year\');',
+          '    table.specificType(\'old\', \'varchar(20)\').nullable();',
+          '  });',
+          '};',
+          ''
+        ].join('\n'));
+      });
+    });
+
+    it('alters changed columns with raw SQL', function() {
+      respondWithColumns([
+        { COLUMN_NAME: 'id', DATA_TYPE: 'int', IS_NULLABLE: 'NO' },
+        { COLUMN_NAME: 'title', DATA_TYPE: 'text', IS_NULLABLE: 'YES' },
+        { COLUMN_NAME: 'year', DATA_TYPE: 'int', IS_NULLABLE: 'YES' }
+      ]);
+
+      return TestModel.migration().then(function(source) {
+        source.should.equal([
+          'exports.up = function(knex, Promise) {',
+          '  return knex.raw(\'alter table `TestModel` modify `title` ' +
+              'varchar(255) not null default \\\'Untitled\\\'\');',
+          '};',
+          '',
+          'exports.down = function(knex, Promise) {',
+          '  return knex.raw(\'alter table `TestModel` modify `title` text ' +
+              'null\');',
+          '};',
+          ''
+        ].join('\n'));
+      });
+    });
+
+    it('alters the type and nullability of postgres columns', function() {
+      var source = schema.migration({
+        table: 'Movie',
+        exists: true,
+        added: [],
+        removed: {},
+        changed: [{
+          field: 'title',
+          expected: { type: 'string', nullable: false },
+          actual: { type: 'character varying', nullable: true, maxLength: 80 }
+        }]
+      }, { title: { type: 'string' } }, knex({ client: 'pg' }));
+
+      source.should.contain('knex.raw(\'alter table "Movie" alter column ' +
+          '"title" type varchar(255) using "title"::varchar(255), alter ' +
+          'column "title" set not null\')');
+      source.should.contain('knex.raw(\'alter table "Movie" alter column ' +
+          '"title" type character varying(80) using ' +
+          '"title"::character varying(80), alter column "title" drop not ' +
+          'null\')');
+    });
+
+    it('rejects column changes on sqlite', function() {
+      schema.migration.bind(null, {
+        table: 'Movie',
+        exists: true,
+        added: [],
+        removed: {},
+        changed: [{
+          field: 'title',
+          expected: { type: 'string', nullable: false },
+          actual: { type: 'text', nullable: true }
+        }]
+      }, { title: { type: 'string' } }, knex({ client: 'sqlite3' }))
+      .should.throw(Error, /rebuilt by hand to change title/);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Test the field types.
+ */
+
+var expect = require('chai').should(),
+  types = require('../lib/types.js');
+
+describe('the field types', function() {
+  describe('.fromDb()', function() {
+    var definitions = {
+      active: { type: 'boolean' },
+      seenAt: { type: 'date' },
+      tags: { type: 'json' },
+      price: { type: 'decimal' },
+      title: { type: 'string' }
+    };
+
+    it('coerces the values drivers return', function() {
+      var row = types.fromDb(definitions, {
+        active: '0',
+        seenAt: 0,
+        tags: '["new"]',
+        price: '9.99',
+        title: '1',
+        other: '1'
+      });
+
+      row.active.should.equal(false);
+      row.seenAt.getTime().should.equal(0);
+      row.tags.should.deep.equal(['new']);
+      row.price.should.equal(9.99);
+      row.title.should.equal('1');
+      row.other.should.equal('1');
+    });
+
+    it('leaves values which are already converted', function() {
+      var date = new Date(),
+        row = types.fromDb(definitions, {
+          active: true,
+          seenAt: date,
+          tags: ['new'],
+          price: null
+        });
+
+      row.active.should.equal(true);
+      row.seenAt.should.equal(date);
+      row.tags.should.deep.equal(['new']);
+      (row.price === null).should.equal(true);
+    });
+  });
+
+  describe('.register()', function() {
+    it('requires a validate() function', function() {
+      types.register.bind(null, 'point', {}).should.throw(TypeError);
+      types.register.bind(null, 'point', {
+        validate: function() {},
+        toDb: 'x,y'
+      }).should.throw(TypeError);
+    });
+
+    it('adds a type with its conversions', function() {
+      var def = { type: 'point' };
+
+      types.register('point', {
+        validate: function(value) {
+          return value.x >= 0 && value.y >= 0;
+        },
+        fromDb: function(value) {
+          var parts = value.split(',');
+
+          return { x: Number(parts[0]), y: Number(parts[1]) };
+        },
+        toDb: function(value) {
+          return value.x + ',' + value.y;
+        }
+      });
+
+      types.checkDefinition(def, 'location', 'Cinema');
+      types.isValid(def, { x: 1, y: -1 }).should.equal(false);
+      types.fromDb({ location: def }, { location: '1,2' })
+      .should.deep.equal({ location: { x: 1, y: 2 } });
+      types.toDb({ location: def }, { location: { x: 3, y: 4 } })
+      .should.deep.equal({ location: '3,4' });
+    });
+  });
+});